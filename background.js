@@ -1,46 +1,1927 @@
 /**
  * @fileoverview CAPES Research Exporter - Service Worker
- * Minimal background script for Chrome Extension Manifest V3
+ * Runs export jobs: loads result pages off-screen, keeps job state in
+ * chrome.storage.local and downloads the finished file
  * @author James Rodriguez <james@anthropic.com>
  */
 
 'use strict';
 
+importScripts('common.js');
+
 // === CONSTANTS ===
 
-/** @const {string} Extension name for logging */
-const EXTENSION_NAME = 'CAPES Research Exporter';
+/** @const {string} Extension name for logging */
+const EXTENSION_NAME = 'CAPES Research Exporter';
+
+/** @const {string} CAPES domain for context menu */
+const CAPES_DOMAIN = 'https://www.periodicos.capes.gov.br/*';
+
+/** @const {string} Storage key for persisted export jobs */
+const JOBS_KEY = 'capes_jobs';
+
+/** @const {number} Results page load timeout in milliseconds */
+const PAGE_LOAD_TIMEOUT = 30000;
+
+/** @const {number} Attempts to reach the worker tab's content script */
+const EXTRACT_ATTEMPTS = 5;
+
+/** @const {number} Base delay between extraction attempts in milliseconds */
+const EXTRACT_RETRY_DELAY = 500;
+
+/** @const {string} Storage key for the export history */
+const HISTORY_KEY = 'capes_history';
+
+/** @const {number} Maximum export history entries kept */
+const MAX_HISTORY_ENTRIES = 50;
+
+/** @const {string} Storage key for saved searches */
+const SAVED_SEARCHES_KEY = 'capes_saved_searches';
+
+/** @const {string} Storage key for popup settings (format and export options) */
+const SETTINGS_KEY = 'capes_settings';
+
+/** @const {string} Storage key for scheduled check settings */
+const SCHEDULE_KEY = 'capes_schedule';
+
+/** @const {string} Alarm that triggers scheduled saved search checks */
+const SCHEDULE_ALARM = 'capes_saved_search_check';
+
+/** @const {string} Notification id prefix for new-results notifications */
+const NOTIFICATION_PREFIX = 'capes_new_';
+
+/** @const {string} Storage key marking a scheduled check in progress */
+const CHECK_LOCK_KEY = 'capes_check_lock';
+
+/** @const {string} Error for exports started while a scheduled check runs */
+const CHECK_RUNNING_ERROR = 'Checking saved searches for new results, try again in a moment';
+
+/** @const {Object} Default scheduled check settings */
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  frequencyHours: 24,
+  pageDepth: 2
+};
+
+/** @const {number} Maximum result pages a scheduled check may load per search */
+const MAX_SCHEDULE_DEPTH = 10;
+
+/** @const {string} Storage key for the imported reference library */
+const LIBRARY_KEY = 'capes_library';
+
+/** @const {string} Storage key for named collections */
+const COLLECTIONS_KEY = 'capes_collections';
+
+/** @const {number} Maximum length of a collection name */
+const MAX_COLLECTION_NAME = 60;
+
+/** @const {number} Default retries for a results page before it is skipped */
+const DEFAULT_PAGE_RETRIES = 3;
+
+/** @const {number} Base delay before retrying a results page in milliseconds */
+const PAGE_RETRY_DELAY = 2000;
+
+/** @const {number} Base delay before retrying a rate-limited page in milliseconds */
+const RATE_LIMIT_DELAY = 15000;
+
+/** @const {number} Interval for countdown updates while waiting to retry */
+const RETRY_TICK = 5000;
+
+/** @const {number} Consecutive skipped pages after which collection stops */
+const MAX_CONSECUTIVE_SKIPS = 3;
+
+/** @const {Object<string, string>} Errors for results pages that can't be used */
+const PAGE_STATE_ERRORS = {
+  rateLimited: 'CAPES is limiting requests',
+  empty: 'Results did not load'
+};
+
+/** @const {number} Articles sent to the worker tab per enrichment batch */
+const ENRICH_BATCH_SIZE = 20;
+
+/** @const {Set<string>} Job statuses that end a job */
+const FINISHED_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+// === TYPE DEFINITIONS ===
+
+/**
+ * @typedef {Object} ExportJob
+ * @property {string} id - Job identifier
+ * @property {string} status - running|paused|completed|cancelled|failed
+ * @property {string} phase - crawling|enriching|finishing
+ * @property {string} format - Export format
+ * @property {ExportOptions} options - Export options
+ * @property {string} searchUrl - Search URL without the page parameter
+ * @property {SearchState} searchState - Query, URL filters and sidebar facets at start
+ * @property {string} query - Search query
+ * @property {?number} tabId - Tab that shows the job's progress overlay
+ * @property {{nextPage: number, enrichIndex: number, consecutiveSkips: number}} cursor - Where to continue
+ * @property {number[]} processedPages - Result pages already collected
+ * @property {{page: number, reason: string}[]} skippedPages - Pages that failed every retry
+ * @property {Article[]} articles - Articles collected so far
+ * @property {number} totalArticles - Total articles count estimate
+ * @property {number} duplicatesMerged - Duplicate records merged
+ * @property {boolean} partial - True when a limit or skipped page cut the export short
+ * @property {boolean} fromSelection - True when the articles came from the result-list selection
+ * @property {number} alreadySeen - Articles left out by "only new results"
+ * @property {number} excludedCount - Articles removed by the record filters
+ * @property {number} ownedCount - Articles found in the imported library (skipped or tagged)
+ * @property {RejectedRecord[]} rejected - Result cards rejected during extraction (capped)
+ * @property {number} rejectedCount - Result cards rejected during extraction
+ * @property {?ExtractionReport} report - Data-quality report, built when the job finishes (or fails while finishing)
+ * @property {boolean} fromPending - True when exporting a saved search's pending new records
+ * @property {number} progress - Progress percentage (0-100)
+ * @property {string} message - Human-readable status
+ * @property {string} error - Failure reason
+ * @property {string} filename - Downloaded filename
+ * @property {string} startTime - ISO start timestamp
+ * @property {string} updatedTime - ISO last update timestamp
+ */
+
+// === STATE ===
+
+/**
+ * Off-screen worker tab used to load result pages
+ * @type {{windowId: ?number, tabId: ?number}}
+ */
+const worker = {
+  windowId: null,
+  tabId: null
+};
+
+/**
+ * In-memory job cache, persisted to chrome.storage.local on every change
+ * @type {{ready: ?Promise<Object<string, ExportJob>>}}
+ */
+const jobCache = {
+  ready: null
+};
+
+/** @type {Set<string>} Ids of jobs with an active run loop */
+const activeRuns = new Set();
+
+/**
+ * Scheduled check lock held by this service worker instance
+ * Set synchronously so two checks started together can't both take it
+ * @type {{held: boolean}}
+ */
+const checkLock = {
+  held: false
+};
+
+// === LIFECYCLE EVENTS ===
+
+/**
+ * Handle extension installation
+ */
+chrome.runtime.onInstalled.addListener((details) => {
+  console.log(`${EXTENSION_NAME} installed:`, details.reason);
+  
+  // Only show welcome message on fresh install
+  if (details.reason === 'install') {
+    console.log(`${EXTENSION_NAME} v${chrome.runtime.getManifest().version} ready`);
+  }
+
+  // Updates can drop alarms; recreate the scheduled check if enabled
+  loadSchedule().then(applySchedule);
+});
+
+/**
+ * Handle extension startup
+ */
+chrome.runtime.onStartup.addListener(() => {
+  console.log(`${EXTENSION_NAME} started`);
+});
+
+// === BACKGROUND PAGE LOADING ===
+
+/**
+ * Wait for a tab to finish loading
+ * Register before navigating so the completion event isn't missed
+ * @param {number} tabId - Tab to watch
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {boolean} acceptLoaded - Also resolve if the tab is already complete (for a tab opened before registering)
+ * @returns {Promise<void>}
+ */
+const waitForTabComplete = (tabId, timeout = PAGE_LOAD_TIMEOUT, acceptLoaded = false) => new Promise((resolve, reject) => {
+  const listener = (updatedTabId, changeInfo) => {
+    if (updatedTabId === tabId && changeInfo.status === 'complete') {
+      cleanup();
+      resolve();
+    }
+  };
+
+  const timer = setTimeout(() => {
+    cleanup();
+    reject(new Error('Page load timed out'));
+  }, timeout);
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    chrome.tabs.onUpdated.removeListener(listener);
+  };
+
+  chrome.tabs.onUpdated.addListener(listener);
+
+  if (acceptLoaded) {
+    // Checked after registering, so a load finishing in between is seen either way
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve();
+      }
+    }, () => {});
+  }
+});
+
+/**
+ * Check whether the worker tab is still open
+ * @returns {Promise<boolean>} True if the tab exists
+ */
+const isWorkerTabOpen = async () => {
+  try {
+    await chrome.tabs.get(worker.tabId);
+    return true;
+  } catch (error) {
+    console.debug('Worker tab unavailable, recreating:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Navigate the worker tab to a URL, creating a minimized window if needed
+ * A load timeout is thrown to the caller, which retries or skips the page
+ * @param {string} url - Page URL
+ * @returns {Promise<number>} Worker tab id
+ */
+const navigateWorker = async (url) => {
+  if (worker.tabId !== null && !(await isWorkerTabOpen())) {
+    worker.windowId = null;
+    worker.tabId = null;
+  }
+
+  if (worker.tabId !== null) {
+    const loaded = waitForTabComplete(worker.tabId);
+    try {
+      await chrome.tabs.update(worker.tabId, { url });
+    } catch (error) {
+      loaded.catch(() => {});
+      throw error;
+    }
+    await loaded;
+    return worker.tabId;
+  }
+
+  const workerWindow = await chrome.windows.create({ url, focused: false, state: 'minimized' });
+  worker.windowId = workerWindow.id;
+  worker.tabId = workerWindow.tabs[0].id;
+
+  await waitForTabComplete(worker.tabId, PAGE_LOAD_TIMEOUT, true);
+  return worker.tabId;
+};
+
+/**
+ * Send a message to the worker tab's content script, retrying until it is ready
+ * @param {number} tabId - Worker tab id
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object>} Successful response
+ */
+const sendToWorker = async (tabId, message) => {
+  for (let attempt = 1; attempt <= EXTRACT_ATTEMPTS; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message);
+      if (response && response.success) {
+        return response;
+      }
+      throw new Error((response && response.error) || `${message.action} failed`);
+    } catch (error) {
+      if (attempt === EXTRACT_ATTEMPTS) throw error;
+      await sleep(EXTRACT_RETRY_DELAY * attempt);
+    }
+  }
+};
+
+/**
+ * Load a results page off-screen and extract its articles
+ * @param {string} url - Results page URL
+ * @param {number} page - Page number
+ * @returns {Promise<PageResult>} Page extraction result
+ */
+const loadResultsPage = async (url, page) => {
+  const tabId = await navigateWorker(url);
+  const response = await sendToWorker(tabId, { action: 'extractPage', page });
+  return response.result;
+};
+
+/**
+ * Fetch detail pages for a batch of articles in the worker tab
+ * @param {string} searchUrl - CAPES page to open if no worker exists yet
+ * @param {Article[]} articles - Articles to enrich
+ * @returns {Promise<Article[]>} Enriched articles
+ */
+const enrichInWorker = async (searchUrl, articles) => {
+  const tabId = worker.tabId !== null ? worker.tabId : await navigateWorker(searchUrl);
+  const response = await sendToWorker(tabId, { action: 'enrichArticles', articles });
+  return response.articles;
+};
+
+/**
+ * Close the worker window
+ */
+const releaseWorker = async () => {
+  const { windowId } = worker;
+  worker.windowId = null;
+  worker.tabId = null;
+
+  if (windowId !== null) {
+    try {
+      await chrome.windows.remove(windowId);
+    } catch (error) {
+      console.debug('Worker window already closed:', error.message);
+    }
+  }
+};
+
+/**
+ * Forget the worker if the user closes its window
+ */
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (windowId === worker.windowId) {
+    worker.windowId = null;
+    worker.tabId = null;
+  }
+});
+
+// === JOB STORE ===
+
+/**
+ * Load all jobs (once per service worker lifetime)
+ * @returns {Promise<Object<string, ExportJob>>} Jobs by id
+ */
+const loadJobs = () => {
+  if (!jobCache.ready) {
+    jobCache.ready = chrome.storage.local.get(JOBS_KEY).then(stored => stored[JOBS_KEY] || {});
+  }
+  return jobCache.ready;
+};
+
+/**
+ * Persist all jobs
+ * @returns {Promise<void>}
+ */
+const saveJobs = async () => {
+  const jobs = await loadJobs();
+  await chrome.storage.local.set({ [JOBS_KEY]: jobs });
+};
+
+/**
+ * Get a job by id, or the most recently started job
+ * @param {string} [jobId] - Job id
+ * @returns {Promise<ExportJob|null>} Job or null
+ */
+const getJob = async (jobId) => {
+  const jobs = await loadJobs();
+  if (jobId) return jobs[jobId] || null;
+
+  const sorted = Object.values(jobs).sort((a, b) => b.startTime.localeCompare(a.startTime));
+  return sorted[0] || null;
+};
+
+/**
+ * Build the lightweight job view sent to tabs and the popup
+ * @param {ExportJob} job - Job
+ * @returns {ExportJobSummary} Job summary without articles
+ */
+const summarizeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  phase: job.phase,
+  format: job.format,
+  query: job.query,
+  searchUrl: job.searchUrl,
+  progress: job.progress,
+  message: job.message,
+  error: job.error,
+  articleCount: job.articles.length,
+  pagesDone: job.processedPages.length,
+  totalArticles: job.totalArticles,
+  duplicatesMerged: job.duplicatesMerged,
+  partial: job.partial,
+  skippedPages: job.skippedPages,
+  alreadySeen: job.alreadySeen,
+  excludedCount: job.excludedCount,
+  ownedCount: job.ownedCount,
+  rejectedCount: job.rejectedCount,
+  coverage: job.report ? job.report.coverage : null,
+  filename: job.filename,
+  startTime: job.startTime,
+  updatedTime: job.updatedTime
+});
+
+/**
+ * Notify the job's tab and any open popup of a job change
+ * @param {ExportJob} job - Job
+ */
+const broadcastJob = (job) => {
+  const message = { action: 'jobUpdate', job: summarizeJob(job) };
+
+  if (job.tabId !== null) {
+    chrome.tabs.sendMessage(job.tabId, message).catch(() => {});
+  }
+  chrome.runtime.sendMessage(message).catch(() => {});
+};
+
+/**
+ * Apply changes to a job, persist and broadcast them
+ * @param {ExportJob} job - Job to update
+ * @param {Partial<ExportJob>} changes - Fields to change
+ * @returns {Promise<void>}
+ */
+const updateJob = async (job, changes = {}) => {
+  Object.assign(job, changes, { updatedTime: new Date().toISOString() });
+  await saveJobs();
+  broadcastJob(job);
+};
+
+/**
+ * Mark jobs that were running when the service worker stopped as paused
+ * so they can be resumed (e.g. after a browser restart)
+ */
+const recoverInterruptedJobs = async () => {
+  const jobs = await loadJobs();
+  const interrupted = Object.values(jobs).filter(job => job.status === 'running');
+
+  interrupted.forEach(job => {
+    job.status = 'paused';
+    job.tabId = null;
+    job.message = `⏸️ Interrupted after ${job.articles.length} articles. Resume to continue`;
+  });
+
+  if (interrupted.length > 0) {
+    await saveJobs();
+  }
+};
+
+// === EXPORT HISTORY ===
+
+/**
+ * Load the export history, newest first
+ * @returns {Promise<HistoryEntry[]>} History entries
+ */
+const loadHistory = async () => {
+  const stored = await chrome.storage.local.get(HISTORY_KEY);
+  return stored[HISTORY_KEY] || [];
+};
+
+/**
+ * Persist the export history
+ * @param {HistoryEntry[]} entries - History entries
+ * @returns {Promise<void>}
+ */
+const saveHistory = async (entries) => {
+  await chrome.storage.local.set({ [HISTORY_KEY]: entries.slice(0, MAX_HISTORY_ENTRIES) });
+};
+
+/**
+ * Record a completed job in the export history
+ * @param {ExportJob} job - Completed job
+ * @returns {Promise<void>}
+ */
+const addHistoryEntry = async (job) => {
+  const entries = await loadHistory();
+
+  entries.unshift({
+    id: job.id,
+    query: job.query,
+    filters: ExportFile.getFilters(job.searchUrl),
+    searchUrl: job.searchUrl,
+    searchState: job.searchState,
+    format: job.format,
+    options: job.options,
+    count: job.articles.length,
+    partial: job.partial,
+    fromSelection: job.fromSelection,
+    date: new Date().toISOString(),
+    articles: job.articles,
+    report: job.report
+  });
+
+  await saveHistory(entries);
+};
+
+/**
+ * Find a history entry by id
+ * @param {string} entryId - Entry id
+ * @returns {Promise<HistoryEntry>} History entry
+ * @throws {Error} When the entry doesn't exist
+ */
+const getHistoryEntry = async (entryId) => {
+  const entry = (await loadHistory()).find(item => item.id === entryId);
+  if (!entry) {
+    throw new Error('Export not found in history');
+  }
+  return entry;
+};
+
+/**
+ * Build the history listing sent to the popup (without articles or report)
+ * @param {HistoryEntry} entry - History entry
+ * @returns {HistoryEntry} Entry without its articles, flagged when it has a report
+ */
+const summarizeHistoryEntry = ({ articles, report, ...entry }) => ({ ...entry, hasReport: Boolean(report) });
+
+/**
+ * Handle export history messages from the popup
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+const handleHistoryMessage = async (request) => {
+  switch (request.action) {
+    case 'getHistory': {
+      const entries = await loadHistory();
+      return { success: true, entries: entries.map(summarizeHistoryEntry) };
+    }
+
+    case 'redownloadHistory': {
+      const entry = await getHistoryEntry(request.entryId);
+      const format = request.format || entry.format;
+      const filename = await downloadArticles({ ...entry, format }, entry.articles, entry.partial);
+      return { success: true, filename };
+    }
+
+    case 'downloadHistoryReport': {
+      const entry = await getHistoryEntry(request.entryId);
+      if (!entry.report) {
+        throw new Error('This export has no extraction report');
+      }
+      const filename = ExportFile.generateFilename(entry.format, {
+        searchUrl: entry.searchUrl,
+        partial: entry.partial
+      });
+      return { success: true, filename: await downloadReport(entry.report, filename) };
+    }
+
+    case 'deleteHistory': {
+      const entries = await loadHistory();
+      await saveHistory(entries.filter(item => item.id !== request.entryId));
+      return { success: true };
+    }
+
+    case 'rerunHistory': {
+      const entry = await getHistoryEntry(request.entryId);
+      const job = await createJob({
+        format: request.format || entry.format,
+        options: entry.options,
+        searchUrl: entry.searchUrl,
+        searchState: entry.searchState && ExportFile.getSearchState(entry.searchUrl, {
+          facets: entry.searchState.facets
+        })
+      }, request.tabId);
+      return { success: true, job: summarizeJob(job) };
+    }
+
+    default:
+      return { success: false, error: `Unknown history action: ${request.action}` };
+  }
+};
+
+// === REFERENCE LIBRARY ===
+
+/**
+ * @typedef {Object} StoredLibrary
+ * @property {string[]} dois - Normalized DOIs
+ * @property {string[]} titleKeys - Normalized title + year keys
+ * @property {{name: string, count: number, importedAt: string}[]} sources - Imported files
+ */
+
+/**
+ * Load the imported library match keys
+ * @returns {Promise<StoredLibrary>} Stored library (empty when nothing was imported)
+ */
+const loadLibrary = async () => {
+  const stored = await chrome.storage.local.get(LIBRARY_KEY);
+  return stored[LIBRARY_KEY] || { dois: [], titleKeys: [], sources: [] };
+};
+
+/**
+ * Build the library view sent to the popup
+ * @param {StoredLibrary} library - Stored library
+ * @returns {Object} Library summary
+ */
+const summarizeLibrary = (library) => ({
+  sources: library.sources,
+  recordCount: library.sources.reduce((total, source) => total + source.count, 0)
+});
+
+/**
+ * Parse a RIS/BibTeX file and add its records to the library
+ * @param {string} name - File name
+ * @param {string} text - File content
+ * @returns {Promise<Object>} Library summary
+ */
+const importLibrary = async (name, text) => {
+  const records = LibraryIndex.parseFile(text, name);
+  if (records.length === 0) {
+    throw new Error(`No references found in ${name}`);
+  }
+
+  const library = await loadLibrary();
+  const keys = LibraryIndex.buildKeys(records);
+
+  const merged = {
+    dois: Array.from(new Set([...library.dois, ...keys.dois])),
+    titleKeys: Array.from(new Set([...library.titleKeys, ...keys.titleKeys])),
+    sources: [...library.sources, { name, count: records.length, importedAt: new Date().toISOString() }]
+  };
+
+  await chrome.storage.local.set({ [LIBRARY_KEY]: merged });
+  return summarizeLibrary(merged);
+};
+
+/**
+ * Skip or tag articles the imported library already has
+ * @param {Article[]} articles - Articles
+ * @param {ExportJob} job - Job (libraryMode option; ownedCount is updated)
+ * @returns {Promise<Article[]>} Articles to keep
+ */
+const applyLibrary = async (articles, job) => {
+  const { libraryMode } = job.options;
+  if (libraryMode !== 'skip' && libraryMode !== 'tag') return articles;
+
+  const library = await loadLibrary();
+  if (library.sources.length === 0) return articles;
+
+  const lookup = LibraryIndex.toLookup(library);
+  const kept = [];
+
+  articles.forEach(article => {
+    const owned = LibraryIndex.contains(lookup, article);
+    if (owned) job.ownedCount++;
+
+    if (owned && libraryMode === 'skip') return;
+    kept.push(owned ? { ...article, inLibrary: true } : article);
+  });
+
+  return kept;
+};
+
+/**
+ * Handle library messages from the popup
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+const handleLibraryMessage = async (request) => {
+  switch (request.action) {
+    case 'importLibrary':
+      return { success: true, library: await importLibrary(request.name, request.text) };
+    case 'getLibrary':
+      return { success: true, library: summarizeLibrary(await loadLibrary()) };
+    case 'clearLibrary':
+      await chrome.storage.local.remove(LIBRARY_KEY);
+      return { success: true, library: summarizeLibrary(await loadLibrary()) };
+    default:
+      return { success: false, error: `Unknown library action: ${request.action}` };
+  }
+};
+
+// === COLLECTIONS ===
+
+/**
+ * Load named collections
+ * @returns {Promise<Collection[]>} Collections
+ */
+const loadCollections = async () => {
+  const stored = await chrome.storage.local.get(COLLECTIONS_KEY);
+  return stored[COLLECTIONS_KEY] || [];
+};
+
+/**
+ * Persist named collections
+ * @param {Collection[]} collections - Collections
+ * @returns {Promise<void>}
+ */
+const saveCollections = async (collections) => {
+  await chrome.storage.local.set({ [COLLECTIONS_KEY]: collections });
+};
+
+/**
+ * Find a collection by id
+ * @param {string} collectionId - Collection id
+ * @returns {Promise<Collection>} Collection
+ * @throws {Error} When the collection doesn't exist
+ */
+const getCollection = async (collectionId) => {
+  const collection = (await loadCollections()).find(item => item.id === collectionId);
+  if (!collection) {
+    throw new Error('Collection not found');
+  }
+  return collection;
+};
+
+/**
+ * Build the collection view sent to the popup (records replaced by counts)
+ * @param {Collection} collection - Collection
+ * @returns {Object} Collection summary
+ */
+const summarizeCollection = ({ articles, searches, ...collection }) => ({
+  ...collection,
+  articleCount: articles.length,
+  queries: Array.from(new Set(searches.map(search => search.query)))
+});
+
+/**
+ * Add a finished job's records to its named collection
+ * Records are tagged with the job's query and merged with those already in the
+ * collection, so a paper found by several searches is kept once with every query
+ * @param {ExportJob} job - Finished job (options.collection names the collection)
+ * @returns {Promise<{collection: Collection, added: number, duplicates: number}>} Result
+ */
+const addToCollection = async (job) => {
+  const collections = await loadCollections();
+  const name = job.options.collection;
+  const now = new Date().toISOString();
+
+  let collection = collections.find(item => item.name.toLowerCase() === name.toLowerCase());
+  if (!collection) {
+    collection = {
+      id: `collection_${Date.now().toString(36)}`,
+      name,
+      searches: [],
+      articles: [],
+      duplicatesMerged: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    collections.push(collection);
+  }
+
+  const query = job.query || job.searchUrl;
+  const tagged = job.articles.map(article => ({ ...article, foundBy: [query] }));
+  const before = collection.articles.length;
+  const { articles, duplicates } = Deduplicator.deduplicate([...collection.articles, ...tagged]);
+
+  collection.articles = articles;
+  collection.duplicatesMerged += duplicates;
+  collection.searches.push(job.searchState);
+  collection.updatedAt = now;
+
+  await saveCollections(collections);
+  return { collection, added: articles.length - before, duplicates };
+};
+
+/**
+ * Download a whole collection as one file
+ * @param {string} collectionId - Collection id
+ * @param {string} format - Export format
+ * @param {Object} options - Export options (BibTeX and manifest settings)
+ * @returns {Promise<string>} Downloaded filename
+ */
+const downloadCollection = async (collectionId, format, options) => {
+  const collection = await getCollection(collectionId);
+  if (collection.articles.length === 0) {
+    throw new Error(`Collection "${collection.name}" is empty`);
+  }
+
+  const exportOptions = normalizeOptions(options);
+  const content = ExportFile.generateContent(collection.articles, format, exportOptions);
+  const filename = ExportFile.generateFilename(format, { label: collection.name });
+  const { mimeType } = ExportFile.getFileType(format);
+
+  await chrome.downloads.download({ url: toDataUrl(content, mimeType), filename });
+
+  if (exportOptions.writeManifest) {
+    const manifest = ExportFile.buildManifest({
+      filename,
+      format,
+      recordCount: collection.articles.length,
+      partial: false,
+      options: exportOptions,
+      searchState: null,
+      collection
+    });
+    await chrome.downloads.download({
+      url: toDataUrl(manifest, 'application/json'),
+      filename: ExportFile.manifestFilename(filename)
+    });
+  }
+
+  return filename;
+};
+
+/**
+ * Handle collection messages from the popup
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+const handleCollectionMessage = async (request) => {
+  switch (request.action) {
+    case 'listCollections': {
+      const collections = await loadCollections();
+      return { success: true, collections: collections.map(summarizeCollection) };
+    }
+
+    case 'downloadCollection': {
+      const filename = await downloadCollection(request.collectionId, request.format, request.options);
+      return { success: true, filename };
+    }
+
+    case 'deleteCollection': {
+      const collections = await loadCollections();
+      await saveCollections(collections.filter(item => item.id !== request.collectionId));
+      return { success: true };
+    }
+
+    default:
+      return { success: false, error: `Unknown collection action: ${request.action}` };
+  }
+};
+
+// === SAVED SEARCHES ===
+
+/**
+ * Load saved searches
+ * @returns {Promise<SavedSearch[]>} Saved searches
+ */
+const loadSavedSearches = async () => {
+  const stored = await chrome.storage.local.get(SAVED_SEARCHES_KEY);
+  return stored[SAVED_SEARCHES_KEY] || [];
+};
+
+/**
+ * Persist saved searches
+ * @param {SavedSearch[]} searches - Saved searches
+ * @returns {Promise<void>}
+ */
+const saveSavedSearches = async (searches) => {
+  await chrome.storage.local.set({ [SAVED_SEARCHES_KEY]: searches });
+};
+
+/**
+ * Find the saved search for a results URL
+ * @param {SavedSearch[]} searches - Saved searches
+ * @param {string} url - Any results page URL of the search
+ * @returns {SavedSearch|undefined} Matching saved search
+ */
+const findSavedSearch = (searches, url) => {
+  const searchUrl = normalizeSearchUrl(url);
+  return searches.find(search => search.searchUrl === searchUrl);
+};
+
+/**
+ * Build the saved search view sent to the popup (ids and records replaced by counts)
+ * @param {SavedSearch} search - Saved search
+ * @returns {Object} Saved search summary
+ */
+const summarizeSavedSearch = ({ seenIds, pendingArticles = [], ...search }) => ({
+  ...search,
+  seenCount: seenIds.length,
+  pendingCount: pendingArticles.length
+});
+
+/**
+ * Get the ids an "only new results" job should leave out
+ * @param {ExportJob} job - Running job
+ * @returns {Promise<?Set<string>>} Already exported ids, or null when not filtering
+ */
+const getSeenIds = async (job) => {
+  if (!job.options.onlyNew) return null;
+
+  const search = findSavedSearch(await loadSavedSearches(), job.searchUrl);
+  return search ? new Set(search.seenIds) : null;
+};
+
+/**
+ * Record the ids a finished search export contained on its saved search
+ * @param {ExportJob} job - Completed job
+ * @returns {Promise<void>}
+ */
+const recordExportedIds = async (job) => {
+  if (job.fromSelection) return;
+
+  const searches = await loadSavedSearches();
+  const search = findSavedSearch(searches, job.searchUrl);
+  if (!search) return;
+
+  const ids = new Set(search.seenIds);
+  job.articles.forEach(article => {
+    [article.id, ...(article.alternateIds || [])].filter(Boolean).forEach(id => ids.add(id));
+  });
+
+  search.seenIds = Array.from(ids);
+  search.lastExportDate = new Date().toISOString();
+  search.lastNewCount = job.articles.length;
+  search.pendingArticles = (search.pendingArticles || []).filter(article => !ids.has(article.id));
+  await saveSavedSearches(searches);
+};
+
+/**
+ * Handle saved search messages from the popup
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+const handleSavedSearchMessage = async (request) => {
+  const searches = await loadSavedSearches();
+
+  switch (request.action) {
+    case 'getSavedSearch': {
+      const search = findSavedSearch(searches, request.url);
+      return { success: true, search: search ? summarizeSavedSearch(search) : null };
+    }
+
+    case 'saveSearch': {
+      const existing = findSavedSearch(searches, request.url);
+      if (existing) {
+        return { success: true, search: summarizeSavedSearch(existing) };
+      }
+
+      const searchUrl = normalizeSearchUrl(request.url);
+      const search = {
+        id: `search_${Date.now().toString(36)}`,
+        query: ExportFile.getQuery(searchUrl),
+        filters: ExportFile.getFilters(searchUrl),
+        searchUrl,
+        seenIds: [],
+        createdAt: new Date().toISOString(),
+        lastExportDate: '',
+        lastNewCount: 0,
+        pendingArticles: [],
+        lastCheckedDate: ''
+      };
+
+      searches.push(search);
+      await saveSavedSearches(searches);
+      return { success: true, search: summarizeSavedSearch(search) };
+    }
+
+    case 'deleteSavedSearch':
+      await saveSavedSearches(searches.filter(search => search.id !== request.searchId));
+      return { success: true, search: null };
+
+    case 'listSavedSearches':
+      return { success: true, searches: searches.map(summarizeSavedSearch) };
+
+    case 'exportPending': {
+      const job = await exportPending(request.searchId, request.format, request.tabId);
+      return { success: true, job: summarizeJob(job) };
+    }
+
+    default:
+      return { success: false, error: `Unknown saved search action: ${request.action}` };
+  }
+};
+
+// === SCHEDULED CHECKS ===
+
+/**
+ * Load scheduled check settings
+ * @returns {Promise<Object>} Settings merged over defaults
+ */
+const loadSchedule = async () => {
+  const stored = await chrome.storage.local.get(SCHEDULE_KEY);
+  return { ...DEFAULT_SCHEDULE, ...stored[SCHEDULE_KEY] };
+};
+
+/**
+ * Save scheduled check settings and (re)create the alarm
+ * @param {Object} changes - enabled, frequencyHours and/or pageDepth
+ * @returns {Promise<Object>} Saved settings
+ */
+const saveSchedule = async (changes) => {
+  const current = await loadSchedule();
+  const schedule = {
+    enabled: changes.enabled !== undefined ? Boolean(changes.enabled) : current.enabled,
+    frequencyHours: toPositiveInt(changes.frequencyHours) || current.frequencyHours,
+    pageDepth: Math.min(MAX_SCHEDULE_DEPTH, toPositiveInt(changes.pageDepth) || current.pageDepth)
+  };
+
+  await chrome.storage.local.set({ [SCHEDULE_KEY]: schedule });
+  await applySchedule(schedule);
+  return schedule;
+};
+
+/**
+ * Create or clear the scheduled check alarm
+ * @param {Object} schedule - Scheduled check settings
+ * @returns {Promise<void>}
+ */
+const applySchedule = async (schedule) => {
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  if (schedule.enabled) {
+    const periodInMinutes = schedule.frequencyHours * 60;
+    chrome.alarms.create(SCHEDULE_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+  }
+};
+
+/**
+ * Take the scheduled check lock
+ * The lock is persisted so job control refuses to share the worker tab with a check
+ * @returns {Promise<boolean>} False if a check is already running
+ */
+const acquireCheckLock = async () => {
+  if (checkLock.held) return false;
+  checkLock.held = true;
+  await chrome.storage.local.set({ [CHECK_LOCK_KEY]: { startedTime: new Date().toISOString() } });
+  return true;
+};
+
+/**
+ * Release the scheduled check lock
+ * @returns {Promise<void>}
+ */
+const releaseCheckLock = async () => {
+  checkLock.held = false;
+  await chrome.storage.local.remove(CHECK_LOCK_KEY);
+};
+
+/**
+ * Check whether a scheduled check is using the worker tab
+ * @returns {Promise<boolean>} True while a check runs
+ */
+const isCheckRunning = async () => {
+  if (checkLock.held) return true;
+  const stored = await chrome.storage.local.get(CHECK_LOCK_KEY);
+  return Boolean(stored[CHECK_LOCK_KEY]);
+};
+
+/**
+ * Check whether an export job is running
+ * @returns {Promise<boolean>} True if a job is running
+ */
+const isExportRunning = async () => {
+  const jobs = await loadJobs();
+  return Object.values(jobs).some(job => job.status === 'running');
+};
+
+/**
+ * Load the first pages of every saved search and keep results not seen before
+ * Skipped while an export job or another check is using the worker tab
+ * @returns {Promise<number>} Total new records found
+ */
+const checkSavedSearches = async () => {
+  // Checked before taking the lock: the worker window belongs to the export
+  if (await isExportRunning()) {
+    console.log(`${EXTENSION_NAME}: export running, scheduled check skipped`);
+    return 0;
+  }
+  if (!(await acquireCheckLock())) {
+    console.log(`${EXTENSION_NAME}: check already running, skipped`);
+    return 0;
+  }
+
+  let totalNew = 0;
+  let loadedPages = false;
+
+  try {
+    // An export may have started while the lock was being taken
+    if (await isExportRunning()) {
+      console.log(`${EXTENSION_NAME}: export running, scheduled check skipped`);
+      return 0;
+    }
+
+    const { pageDepth } = await loadSchedule();
+    const searches = await loadSavedSearches();
+
+    loadedPages = searches.length > 0;
+    for (const search of searches) {
+      const found = await findNewArticles(search, pageDepth);
+
+      // Save after each search so a failure later doesn't lose what was found
+      const saved = await saveCheckResult(search.id, found);
+      if (saved && saved.added > 0) {
+        totalNew += saved.added;
+        notifyNewArticles(saved.search, saved.search.pendingArticles.length);
+      }
+    }
+  } finally {
+    // Only close a worker window this check opened
+    if (loadedPages) await releaseWorker();
+    await releaseCheckLock();
+  }
+
+  return totalNew;
+};
+
+/**
+ * Store one saved search's check result
+ * Re-reads the saved searches so exports, deletions and edits made during the
+ * check are kept; records exported or queued meanwhile aren't added again
+ * @param {string} searchId - Saved search id
+ * @param {Article[]} found - New records found by the check
+ * @returns {Promise<?{search: SavedSearch, added: number}>} Updated search, or null if it was deleted
+ */
+const saveCheckResult = async (searchId, found) => {
+  const searches = await loadSavedSearches();
+  const search = searches.find(item => item.id === searchId);
+  if (!search) return null;
+
+  const known = new Set([
+    ...search.seenIds,
+    ...(search.pendingArticles || []).map(article => article.id)
+  ]);
+  const added = found.filter(article => !known.has(article.id));
+
+  search.lastCheckedDate = new Date().toISOString();
+  if (added.length > 0) {
+    search.pendingArticles = [...(search.pendingArticles || []), ...added];
+  }
+
+  await saveSavedSearches(searches);
+  return { search, added: added.length };
+};
+
+/**
+ * Load a saved search's first pages and return records not seen or pending
+ * @param {SavedSearch} search - Saved search
+ * @param {number} pageDepth - Result pages to load
+ * @returns {Promise<Article[]>} New records
+ */
+const findNewArticles = async (search, pageDepth) => {
+  const known = new Set([
+    ...search.seenIds,
+    ...(search.pendingArticles || []).map(article => article.id)
+  ]);
+  const found = [];
+
+  for (let page = 1; page <= pageDepth; page++) {
+    let result;
+    try {
+      result = await loadResultsPage(buildPageUrl(search.searchUrl, page), page);
+    } catch (error) {
+      console.warn(`${EXTENSION_NAME}: check of "${search.query}" page ${page} failed:`, error.message);
+      break;
+    }
+
+    result.articles.forEach(article => {
+      if (!known.has(article.id)) {
+        known.add(article.id);
+        found.push(article);
+      }
+    });
 
-/** @const {string} CAPES domain for context menu */
-const CAPES_DOMAIN = 'https://www.periodicos.capes.gov.br/*';
+    if (!result.hasNextPage) break;
+  }
 
-// === LIFECYCLE EVENTS ===
+  return found;
+};
 
 /**
- * Handle extension installation
+ * Tell the user a saved search has new results
+ * @param {SavedSearch} search - Saved search
+ * @param {number} count - New records ready to export
  */
-chrome.runtime.onInstalled.addListener((details) => {
-  console.log(`${EXTENSION_NAME} installed:`, details.reason);
-  
-  // Only show welcome message on fresh install
-  if (details.reason === 'install') {
-    console.log(`${EXTENSION_NAME} v${chrome.runtime.getManifest().version} ready`);
+const notifyNewArticles = (search, count) => {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${search.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: EXTENSION_NAME,
+    message: `${count} new ${count === 1 ? 'paper' : 'papers'} for '${search.query}'`,
+    contextMessage: 'Click to export them',
+    priority: 1
+  });
+};
+
+/**
+ * Tell the user a one-click export didn't start
+ * Reuses the saved search's notification id, so clicking it tries again
+ * @param {string} searchId - Saved search id
+ * @param {Error} error - Failure
+ */
+const notifyExportFailed = (searchId, error) => {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${searchId}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: EXTENSION_NAME,
+    message: `Export of new papers failed: ${error.message}`,
+    contextMessage: 'Click to try again',
+    priority: 1
+  });
+};
+
+/**
+ * Export a saved search's pending new records
+ * @param {string} searchId - Saved search id
+ * @param {string} [format] - Export format (default: format saved in the popup)
+ * @param {?number} [tabId] - Tab that shows the progress overlay
+ * @returns {Promise<ExportJob>} Created job
+ */
+const exportPending = async (searchId, format, tabId) => {
+  const search = (await loadSavedSearches()).find(item => item.id === searchId);
+  if (!search) {
+    throw new Error('Saved search not found');
+  }
+  if (!search.pendingArticles || search.pendingArticles.length === 0) {
+    throw new Error('No new results to export');
+  }
+
+  const stored = await chrome.storage.local.get(SETTINGS_KEY);
+  const { format: savedFormat = 'ris', ...options } = stored[SETTINGS_KEY] || {};
+
+  return createJob({
+    format: format || savedFormat,
+    options: { ...options, onlyNew: true },
+    searchUrl: search.searchUrl,
+    articles: search.pendingArticles,
+    fromPending: true
+  }, tabId);
+};
+
+/**
+ * Run scheduled checks when the alarm fires
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    checkSavedSearches().catch(error => {
+      console.error(`${EXTENSION_NAME} scheduled check failed:`, error);
+    });
   }
 });
 
 /**
- * Handle extension startup
+ * One-click export from a new-results notification
  */
-chrome.runtime.onStartup.addListener(() => {
-  console.log(`${EXTENSION_NAME} started`);
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+  const searchId = notificationId.slice(NOTIFICATION_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+  exportPending(searchId).catch(error => {
+    console.error(`${EXTENSION_NAME} export from notification failed:`, error);
+    notifyExportFailed(searchId, error);
+  });
+});
+
+/**
+ * Handle scheduled check messages from the popup
+ * @param {Object} request - Message
+ * @returns {Promise<Object>} Response
+ */
+const handleScheduleMessage = async (request) => {
+  switch (request.action) {
+    case 'getSchedule':
+      return { success: true, schedule: await loadSchedule() };
+    case 'saveSchedule':
+      return { success: true, schedule: await saveSchedule(request.schedule || {}) };
+    case 'checkSavedSearches':
+      return { success: true, found: await checkSavedSearches() };
+    default:
+      return { success: false, error: `Unknown schedule action: ${request.action}` };
+  }
+};
+
+// === JOB CONTROL ===
+
+/**
+ * Normalize export options received from the popup or content script
+ * @param {Object} options - Raw options
+ * @returns {ExportOptions} Normalized options
+ */
+const normalizeOptions = (options = {}) => ({
+  enrich: Boolean(options.enrich),
+  asciiSafe: Boolean(options.asciiSafe),
+  citeKeyPattern: options.citeKeyPattern || DEFAULT_CITEKEY_PATTERN,
+  startPage: toPositiveInt(options.startPage) || 1,
+  endPage: toPositiveInt(options.endPage),
+  maxArticles: toPositiveInt(options.maxArticles),
+  pageRetries: options.pageRetries === undefined || options.pageRetries === ''
+    ? DEFAULT_PAGE_RETRIES
+    : Math.max(0, parseInt(options.pageRetries, 10) || 0),
+  onlyNew: Boolean(options.onlyNew),
+  writeManifest: Boolean(options.writeManifest),
+  filters: RecordFilter.normalize(options.filters),
+  libraryMode: ['skip', 'tag'].includes(options.libraryMode) ? options.libraryMode : 'include',
+  collection: String(options.collection || '').trim().slice(0, MAX_COLLECTION_NAME)
 });
 
-// === DOWNLOAD HANDLING ===
+/**
+ * Create and start an export job
+ * @param {Object} request - Job request
+ * @param {string} request.format - Export format
+ * @param {Object} request.options - Export options
+ * @param {string} request.searchUrl - Search URL without page parameter
+ * @param {Article[]} [request.articles] - Pre-collected articles (skips crawling)
+ * @param {?number} tabId - Tab that shows the progress overlay
+ * @returns {Promise<ExportJob>} Created job
+ */
+const createJob = async (request, tabId) => {
+  const jobs = await loadJobs();
+
+  if (Object.values(jobs).some(job => job.status === 'running')) {
+    throw new Error('Another export is already running');
+  }
+  if (await isCheckRunning()) {
+    throw new Error(CHECK_RUNNING_ERROR);
+  }
+
+  // Keep paused jobs for resuming; drop finished ones
+  Object.values(jobs)
+    .filter(job => FINISHED_STATUSES.has(job.status))
+    .forEach(job => delete jobs[job.id]);
+
+  const options = normalizeOptions(request.options);
+  const now = new Date().toISOString();
+
+  /** @type {ExportJob} */
+  const job = {
+    id: `job_${Date.now().toString(36)}`,
+    status: 'running',
+    phase: 'crawling',
+    format: request.format,
+    options,
+    searchUrl: request.searchUrl,
+    searchState: request.searchState || ExportFile.getSearchState(request.searchUrl),
+    query: ExportFile.getQuery(request.searchUrl),
+    tabId: tabId !== undefined ? tabId : null,
+    cursor: { nextPage: options.startPage, enrichIndex: 0, consecutiveSkips: 0 },
+    processedPages: [],
+    skippedPages: [],
+    articles: [],
+    totalArticles: 0,
+    duplicatesMerged: 0,
+    partial: false,
+    fromSelection: Array.isArray(request.articles) && !request.fromPending,
+    fromPending: Boolean(request.fromPending),
+    alreadySeen: 0,
+    excludedCount: 0,
+    ownedCount: 0,
+    rejected: [],
+    rejectedCount: 0,
+    report: null,
+    progress: 0,
+    message: 'Starting export...',
+    error: '',
+    filename: '',
+    startTime: now,
+    updatedTime: now
+  };
+
+  if (Array.isArray(request.articles)) {
+    job.articles = request.articles;
+    await finishCollection(job);
+  }
+
+  jobs[job.id] = job;
+  await updateJob(job);
+  runJob(job.id);
+  return job;
+};
+
+/**
+ * Run a job until it finishes, pauses, fails or is cancelled
+ * @param {string} jobId - Job id
+ */
+const runJob = async (jobId) => {
+  if (activeRuns.has(jobId)) return;
+  activeRuns.add(jobId);
+
+  const job = await getJob(jobId);
+
+  try {
+    while (job && job.status === 'running') {
+      if (job.phase === 'crawling') {
+        await crawlNextPage(job);
+      } else if (job.phase === 'enriching') {
+        await enrichNextBatch(job);
+      } else {
+        await finishJob(job);
+      }
+    }
+  } catch (error) {
+    console.error(`${EXTENSION_NAME} job ${jobId} failed:`, error);
+    if (job.status === 'running') {
+      await failJob(job, error);
+    }
+  } finally {
+    activeRuns.delete(jobId);
+  }
+};
+
+/**
+ * Load the job's next results page
+ * @param {ExportJob} job - Running job
+ */
+const crawlNextPage = async (job) => {
+  const page = job.cursor.nextPage;
+  await updateJob(job, { message: `Loading page ${page}...` });
+
+  let result;
+  try {
+    result = await loadPageWithRetry(job, page);
+  } catch (error) {
+    if (job.status === 'running') {
+      await skipPage(job, page, error);
+    }
+    return;
+  }
+  if (job.status === 'cancelled') return;
+
+  job.cursor.consecutiveSkips = 0;
+  addPageResult(job, result, await getSeenIds(job));
+
+  if (shouldContinueToNextPage(job, result)) {
+    job.cursor.nextPage = page + 1;
+  } else {
+    await finishCollection(job);
+  }
+
+  await updateJob(job, {
+    progress: calculateProgress(job),
+    message: `Collected ${job.articles.length} articles from ${job.processedPages.length} pages`
+  });
+};
+
+/**
+ * Load a results page, retrying with exponential backoff
+ * Empty and rate-limited pages count as failures; "no results" pages don't
+ * @param {ExportJob} job - Running job
+ * @param {number} page - Page number
+ * @returns {Promise<PageResult>} Page extraction result
+ * @throws {Error} When every attempt failed or the job stopped running
+ */
+const loadPageWithRetry = async (job, page) => {
+  const retries = job.options.pageRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const result = await loadResultsPage(buildPageUrl(job.searchUrl, page), page);
+      if (result.state === 'ok' || result.state === 'noResults') {
+        return result;
+      }
+      error = new Error(PAGE_STATE_ERRORS[result.state] || 'Unexpected page');
+      error.rateLimited = result.state === 'rateLimited';
+    } catch (loadError) {
+      error = loadError;
+    }
+
+    if (attempt >= retries || job.status !== 'running') {
+      throw error;
+    }
+
+    const baseDelay = error.rateLimited ? RATE_LIMIT_DELAY : PAGE_RETRY_DELAY;
+    console.warn(`${EXTENSION_NAME}: page ${page} attempt ${attempt + 1} failed:`, error.message);
+    await waitToRetry(job, baseDelay * 2 ** attempt,
+      seconds => `⚠️ Page ${page}: ${error.message}. Retry ${attempt + 1}/${retries} in ${seconds}s...`);
+  }
+};
+
+/**
+ * Wait before a retry, counting down in the job message
+ * Periodic job updates also keep the service worker alive during long waits
+ * @param {ExportJob} job - Running job
+ * @param {number} delay - Delay in milliseconds
+ * @param {function(number): string} describe - Builds the message from seconds left
+ * @returns {Promise<void>} Resolves early if the job stops running
+ */
+const waitToRetry = async (job, delay, describe) => {
+  const deadline = Date.now() + delay;
+
+  while (job.status === 'running' && Date.now() < deadline) {
+    const remaining = deadline - Date.now();
+    await updateJob(job, { message: describe(Math.ceil(remaining / 1000)) });
+    await sleep(Math.min(RETRY_TICK, remaining));
+  }
+};
+
+/**
+ * Give up on a results page, log it and move on
+ * Several failures in a row end collection with what was gathered so far
+ * @param {ExportJob} job - Running job
+ * @param {number} page - Page number
+ * @param {Error} error - Last failure
+ */
+const skipPage = async (job, page, error) => {
+  console.warn(`${EXTENSION_NAME}: skipping page ${page}:`, error.message);
+
+  job.skippedPages.push({ page, reason: error.message });
+  job.cursor.consecutiveSkips += 1;
+  job.partial = true;
+
+  const { endPage } = job.options;
+  if (job.cursor.consecutiveSkips >= MAX_CONSECUTIVE_SKIPS || (endPage && page >= endPage)) {
+    await finishCollection(job);
+  } else {
+    job.cursor.nextPage = page + 1;
+  }
+
+  await updateJob(job, { message: `⚠️ Skipped page ${page}: ${error.message}` });
+};
+
+/**
+ * Add a loaded page's articles to the job
+ * @param {ExportJob} job - Running job
+ * @param {PageResult} result - Page extraction result
+ * @param {?Set<string>} seenIds - Ids to leave out ("only new results"), or null
+ */
+const addPageResult = (job, result, seenIds = null) => {
+  if (!job.totalArticles && result.totalArticles) {
+    job.totalArticles = result.totalArticles;
+  }
+
+  const rejected = result.rejected || [];
+  job.rejectedCount += rejected.length;
+  job.rejected.push(...rejected.slice(0, MAX_REPORTED_REJECTIONS - job.rejected.length));
+
+  if (result.articles.length === 0) return;
+
+  const articles = seenIds
+    ? result.articles.filter(article => !seenIds.has(article.id))
+    : result.articles;
+  job.alreadySeen += result.articles.length - articles.length;
+
+  job.articles.push(...articles);
+  if (!job.processedPages.includes(result.page)) {
+    job.processedPages.push(result.page);
+  }
+
+  const { maxArticles } = job.options;
+  if (maxArticles && job.articles.length > maxArticles) {
+    job.articles = job.articles.slice(0, maxArticles);
+    job.partial = true;
+  }
+};
+
+/**
+ * Check if the job should load another page
+ * @param {ExportJob} job - Running job
+ * @param {PageResult} result - Result of the page just processed
+ * @returns {boolean} True if should continue
+ */
+const shouldContinueToNextPage = (job, result) => {
+  const nextPage = result.page + 1;
+  if (!result.hasNextPage || job.processedPages.includes(nextPage)) {
+    return false;
+  }
+
+  const { endPage, maxArticles } = job.options;
+  if ((endPage && nextPage > endPage) || (maxArticles && job.articles.length >= maxArticles)) {
+    job.partial = true;
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * End the collection phase: merge duplicates, apply record filters and the
+ * library setting, then pick the next phase
+ * @param {ExportJob} job - Job
+ */
+const finishCollection = async (job) => {
+  const { articles, duplicates } = Deduplicator.deduplicate(job.articles);
+  const { kept, excluded } = RecordFilter.apply(articles, job.options.filters);
+
+  job.articles = await applyLibrary(kept, job);
+  job.duplicatesMerged += duplicates;
+  job.excludedCount += excluded.length;
+  job.phase = job.options.enrich ? 'enriching' : 'finishing';
+};
+
+/**
+ * Enrich the job's next batch of articles from their detail pages
+ * @param {ExportJob} job - Running job
+ */
+const enrichNextBatch = async (job) => {
+  const start = job.cursor.enrichIndex;
+  const total = job.articles.length;
+  const batch = job.articles.slice(start, start + ENRICH_BATCH_SIZE);
+
+  if (batch.length === 0) {
+    job.phase = 'finishing';
+    return;
+  }
+
+  await updateJob(job, {
+    message: `Fetching article details (${start}/${total})...`,
+    progress: 90 + (start / total) * 5
+  });
+
+  let enriched = batch;
+  try {
+    enriched = await enrichInWorker(job.searchUrl, batch);
+  } catch (error) {
+    // Keep the records with their search-card metadata rather than failing the job
+    console.warn(`${EXTENSION_NAME}: detail fetch failed for articles ${start}-${start + batch.length}:`, error.message);
+  }
+  if (job.status === 'cancelled') return;
+
+  job.articles.splice(start, batch.length, ...enriched);
+  job.cursor.enrichIndex = start + batch.length;
+  if (job.cursor.enrichIndex >= total) {
+    job.phase = 'finishing';
+  }
+
+  await updateJob(job);
+};
+
+/**
+ * Generate and download an export file for a job, plus its manifest if enabled
+ * @param {ExportJob|HistoryEntry} job - Job (or history entry) with format, options and search state
+ * @param {Article[]} articles - Articles to write
+ * @param {boolean} partial - Mark the filename as partial
+ * @returns {Promise<string>} Downloaded filename
+ */
+const downloadArticles = async (job, articles, partial) => {
+  const options = job.options || {};
+  const searchState = job.searchState || ExportFile.getSearchState(job.searchUrl);
+
+  const content = ExportFile.generateContent(articles, job.format, options, searchState);
+  const filename = ExportFile.generateFilename(job.format, {
+    searchUrl: job.searchUrl,
+    partial,
+    onlyNew: Boolean(options.onlyNew)
+  });
+  const { mimeType } = ExportFile.getFileType(job.format);
+
+  await chrome.downloads.download({ url: toDataUrl(content, mimeType), filename });
+
+  if (options.writeManifest) {
+    const manifest = ExportFile.buildManifest({
+      filename,
+      format: job.format,
+      recordCount: articles.length,
+      partial,
+      options,
+      searchState
+    });
+    await chrome.downloads.download({
+      url: toDataUrl(manifest, 'application/json'),
+      filename: ExportFile.manifestFilename(filename)
+    });
+  }
+
+  return filename;
+};
+
+/**
+ * Generate and download the export file
+ * @param {ExportJob} job - Running job
+ */
+const finishJob = async (job) => {
+  // Built first so a job that fails below still explains what was rejected
+  job.report = ExtractionReport.build(job);
+
+  if (job.articles.length === 0 && job.options.onlyNew && job.alreadySeen > 0) {
+    await releaseWorker();
+    await recordExportedIds(job);
+    await updateJob(job, {
+      status: 'completed',
+      progress: 100,
+      message: `✅ No new results since the last export (${job.alreadySeen} already exported)`
+    });
+    return;
+  }
+
+  if (job.articles.length === 0 && job.excludedCount > 0) {
+    throw new Error(`All ${job.excludedCount} records were excluded by the filters`);
+  }
+  if (job.articles.length === 0 && job.ownedCount > 0) {
+    throw new Error(`All ${job.ownedCount} records are already in your library`);
+  }
+  if (job.articles.length === 0) {
+    throw new Error('No articles found to export');
+  }
+
+  let filename = '';
+  let message;
+
+  if (job.options.collection) {
+    await updateJob(job, { message: 'Adding to collection...', progress: 95 });
+    const { collection, added, duplicates } = await addToCollection(job);
+    message = `✅ Added ${added} articles to "${collection.name}" (${collection.articles.length} in total`
+      + `${duplicates > 0 ? `, ${duplicates} already there` : ''})`;
+  } else {
+    await updateJob(job, { message: 'Generating file...', progress: 95 });
+    filename = await downloadArticles(job, job.articles, job.partial);
+    message = job.partial
+      ? `✅ Exported ${job.articles.length} articles (partial)`
+      : `✅ Successfully exported ${job.articles.length} articles!`;
+  }
+
+  await releaseWorker();
+  await addHistoryEntry(job);
+  await recordExportedIds(job);
+
+  if (job.excludedCount > 0) {
+    message += ` Kept ${job.articles.length}, excluded ${job.excludedCount} by filters.`;
+  }
+  if (job.ownedCount > 0) {
+    message += job.options.libraryMode === 'skip'
+      ? ` ${job.ownedCount} already in library skipped.`
+      : ` ${job.ownedCount} tagged as already in library.`;
+  }
+  if (job.alreadySeen > 0) {
+    message += ` (${job.alreadySeen} already exported left out)`;
+  }
+  if (job.duplicatesMerged > 0) {
+    message += ` (${job.duplicatesMerged} duplicates merged)`;
+  }
+  if (job.skippedPages.length > 0) {
+    message += ` ⚠️ Skipped pages: ${job.skippedPages.map(skipped => skipped.page).join(', ')}`;
+  }
+  if (job.rejectedCount > 0) {
+    message += ` ⚠️ ${job.rejectedCount} unreadable results left out (see report)`;
+  }
+
+  await updateJob(job, { status: 'completed', progress: 100, message, filename });
+};
+
+/**
+ * Download the articles collected so far without stopping the job
+ * @param {ExportJob} job - Job
+ * @returns {Promise<string>} Downloaded filename
+ */
+const downloadPartial = async (job) => {
+  if (job.articles.length === 0) {
+    throw new Error('No articles collected yet');
+  }
+
+  const { articles } = Deduplicator.deduplicate(job.articles);
+  const { kept } = RecordFilter.apply(articles, job.options.filters);
+  // Scratch counter: the job's own ownedCount is set when collection finishes
+  const owned = await applyLibrary(kept, { options: job.options, ownedCount: 0 });
+  if (owned.length === 0) {
+    throw new Error('Every record collected so far is excluded by the filters or library');
+  }
+  return downloadArticles(job, owned, true);
+};
+
+/**
+ * Download a job's extraction report as JSON
+ * @param {ExtractionReport} report - Report
+ * @param {string} filename - Data file the report belongs to
+ * @returns {Promise<string>} Report filename
+ */
+const downloadReport = async (report, filename) => {
+  const reportFilename = ExportFile.reportFilename(filename);
+  await chrome.downloads.download({
+    url: toDataUrl(JSON.stringify(report, null, 2) + '\n', 'application/json'),
+    filename: reportFilename
+  });
+  return reportFilename;
+};
+
+/**
+ * Mark a job as failed
+ * @param {ExportJob} job - Job
+ * @param {Error} error - Failure
+ */
+const failJob = async (job, error) => {
+  await releaseWorker();
+
+  // Collected records are kept so they can still be downloaded or resumed
+  const collected = job.articles.length > 0
+    ? `. ${job.articles.length} articles collected: download them or resume`
+    : '';
+
+  await updateJob(job, {
+    status: 'failed',
+    error: error.message,
+    message: `❌ Export failed: ${error.message}${collected}`
+  });
+};
+
+/**
+ * Pause a running job after its current step
+ * @param {ExportJob} job - Job
+ */
+const pauseJob = async (job) => {
+  if (job.status !== 'running') return;
+  await updateJob(job, {
+    status: 'paused',
+    message: `⏸️ Paused after ${job.articles.length} articles`
+  });
+};
+
+/**
+ * Resume a paused or failed job from its cursor
+ * @param {ExportJob} job - Job
+ * @param {?number} tabId - Tab that should show the progress overlay
+ */
+const resumeJob = async (job, tabId) => {
+  if (job.status !== 'paused' && job.status !== 'failed') return;
+
+  const jobs = await loadJobs();
+  if (Object.values(jobs).some(other => other.id !== job.id && other.status === 'running')) {
+    throw new Error('Another export is already running');
+  }
+  if (await isCheckRunning()) {
+    throw new Error(CHECK_RUNNING_ERROR);
+  }
+
+  await updateJob(job, {
+    status: 'running',
+    error: '',
+    report: null,
+    tabId: tabId !== undefined && tabId !== null ? tabId : job.tabId,
+    message: 'Resuming export...'
+  });
+  runJob(job.id);
+};
+
+/**
+ * Cancel a job and close its worker
+ * @param {ExportJob} job - Job
+ */
+const cancelJob = async (job) => {
+  if (FINISHED_STATUSES.has(job.status)) return;
+  await releaseWorker();
+  await updateJob(job, { status: 'cancelled', message: '⏹️ Export cancelled' });
+};
+
+/**
+ * Calculate job progress percentage
+ * @param {ExportJob} job - Job
+ * @returns {number} Progress percentage
+ */
+const calculateProgress = (job) => {
+  const { startPage, endPage, maxArticles } = job.options;
+  const totals = [job.totalArticles, maxArticles].filter(total => total > 0);
+
+  if (totals.length > 0) {
+    const collected = job.articles.length + job.alreadySeen;
+    return Math.min(90, (collected / Math.min(...totals)) * 100);
+  }
+  if (endPage) {
+    const pageCount = Math.max(1, endPage - startPage + 1);
+    return Math.min(90, (job.processedPages.length / pageCount) * 90);
+  }
+  return Math.min(90, job.processedPages.length * 10);
+};
+
+/**
+ * Encode file content as a data URL for chrome.downloads
+ * @param {string|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type
+ * @returns {string} Base64 data URL
+ */
+const toDataUrl = (content, mimeType) => {
+  const isText = typeof content === 'string';
+  const bytes = isText ? new TextEncoder().encode(content) : content;
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  const type = isText ? `${mimeType};charset=utf-8` : mimeType;
+  return `data:${type};base64,${btoa(binary)}`;
+};
+
+// === MESSAGE HANDLING ===
+
+/**
+ * Handle job control messages
+ * @param {Object} request - Message
+ * @param {chrome.runtime.MessageSender} sender - Sender
+ * @returns {Promise<Object>} Response
+ */
+const handleJobMessage = async (request, sender) => {
+  const senderTabId = sender.tab ? sender.tab.id : null;
+
+  if (request.action === 'startJob') {
+    const job = await createJob(request, senderTabId);
+    return { success: true, job: summarizeJob(job) };
+  }
+
+  const job = await getJob(request.jobId);
+  if (!job) {
+    return { success: request.action === 'getJob', job: null, error: 'No export job found' };
+  }
+
+  const tabId = request.tabId !== undefined ? request.tabId : senderTabId;
+
+  switch (request.action) {
+    case 'pauseJob':
+      await pauseJob(job);
+      break;
+    case 'resumeJob':
+      await resumeJob(job, tabId);
+      break;
+    case 'cancelJob':
+      await cancelJob(job);
+      break;
+    case 'downloadPartial':
+      return { success: true, job: summarizeJob(job), filename: await downloadPartial(job) };
+    case 'downloadReport': {
+      if (!job.report) {
+        throw new Error('The report is ready once the export finishes');
+      }
+      const filename = job.filename || ExportFile.generateFilename(job.format, { searchUrl: job.searchUrl });
+      return { success: true, job: summarizeJob(job), filename: await downloadReport(job.report, filename) };
+    }
+    default:
+      break;
+  }
+
+  return {
+    success: true,
+    job: summarizeJob(job),
+    ownedBySender: senderTabId !== null && job.tabId === senderTabId
+  };
+};
 
 /**
- * Handle download requests from content script
- * Note: This is kept for potential future use with chrome.downloads API
- * Currently, content script handles downloads via blob URLs
+ * Handle messages from content scripts and the popup
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'download' && request.content && request.filename) {
@@ -52,6 +1933,57 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  // Export job control
+  if (['startJob', 'getJob', 'pauseJob', 'resumeJob', 'cancelJob', 'downloadPartial', 'downloadReport']
+    .includes(request.action)) {
+    handleJobMessage(request, sender)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Export history
+  if (['getHistory', 'redownloadHistory', 'downloadHistoryReport', 'deleteHistory', 'rerunHistory']
+    .includes(request.action)) {
+    handleHistoryMessage(request)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Saved searches
+  if (['getSavedSearch', 'saveSearch', 'deleteSavedSearch', 'listSavedSearches', 'exportPending']
+    .includes(request.action)) {
+    handleSavedSearchMessage(request)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Reference library
+  if (['importLibrary', 'getLibrary', 'clearLibrary'].includes(request.action)) {
+    handleLibraryMessage(request)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Named collections
+  if (['listCollections', 'downloadCollection', 'deleteCollection'].includes(request.action)) {
+    handleCollectionMessage(request)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Scheduled checks
+  if (['getSchedule', 'saveSchedule', 'checkSavedSearches'].includes(request.action)) {
+    handleScheduleMessage(request)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   // Handle other potential message types
   if (request.action === 'getVersion') {
     sendResponse({ 
@@ -121,4 +2053,10 @@ const getExtensionStats = () => {
 };
 
 // Export for potential debugging use
-console.debug(`${EXTENSION_NAME} service worker loaded`, getExtensionStats());
\ No newline at end of file
+console.debug(`${EXTENSION_NAME} service worker loaded`, getExtensionStats());
+
+// Jobs left running by a previous service worker instance can be resumed
+recoverInterruptedJobs();
+
+// A check can't outlive its service worker instance; drop a lock it left behind
+chrome.storage.local.remove(CHECK_LOCK_KEY);
\ No newline at end of file
@@ -0,0 +1,2370 @@
+/**
+ * @fileoverview CAPES Research Exporter - Shared Core
+ * Record processing and format converters shared by the content script,
+ * service worker and popup
+ * @author James Rodriguez <james@anthropic.com>
+ */
+
+'use strict';
+
+// === CONSTANTS ===
+
+/** @const {Object<string, string>} Document type mappings for RIS format */
+const RIS_TYPE_MAP = {
+  'Artigo': 'JOUR',
+  'Capítulo de livro': 'CHAP',
+  'Carta': 'NEWS',
+  'Errata': 'JOUR',
+  'Revisão': 'JOUR'
+};
+
+/** @const {Object<string, string>} Document type mappings for BibTeX format */
+const BIBTEX_TYPE_MAP = {
+  'Artigo': 'article',
+  'Capítulo de livro': 'inbook',
+  'Carta': 'article',
+  'Errata': 'article',
+  'Revisão': 'article'
+};
+
+/** @const {Object<string, string>} Document type mappings for CSL-JSON format */
+const CSL_TYPE_MAP = {
+  'Artigo': 'article-journal',
+  'Capítulo de livro': 'chapter',
+  'Carta': 'article-journal',
+  'Errata': 'article-journal',
+  'Revisão': 'article-journal'
+};
+
+/** @const {Object<string, {name: string, number: number}>} Document type mappings for EndNote XML (ref-type name and number) */
+const ENDNOTE_TYPE_MAP = {
+  'Artigo': { name: 'Journal Article', number: 17 },
+  'Capítulo de livro': { name: 'Book Section', number: 5 },
+  'Carta': { name: 'Newspaper Article', number: 23 },
+  'Errata': { name: 'Journal Article', number: 17 },
+  'Revisão': { name: 'Journal Article', number: 17 }
+};
+
+/** @const {Object<string, string>} Document type mappings for RefWorks tagged format */
+const REFWORKS_TYPE_MAP = {
+  'Artigo': 'Journal Article',
+  'Capítulo de livro': 'Book, Section',
+  'Carta': 'Newspaper Article',
+  'Errata': 'Journal Article',
+  'Revisão': 'Journal Article'
+};
+
+/** @const {Object<string, {extension: string, mimeType: string}>} Output file types per export format */
+const FORMAT_FILE_TYPES = {
+  ris: { extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  bibtex: { extension: 'bib', mimeType: 'application/x-bibtex' },
+  csljson: { extension: 'json', mimeType: 'application/json' },
+  endnote: { extension: 'xml', mimeType: 'application/xml' },
+  refworks: { extension: 'txt', mimeType: 'text/plain' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: {
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+/** @const {string[]} Column headers for tabular (CSV/XLSX) exports */
+const TABLE_COLUMNS = [
+  'id', 'title', 'authors', 'journal', 'year', 'date', 'volume', 'issue', 'pages',
+  'publisher', 'language', 'sourceIndex', 'documentType',
+  'isOpenAccess', 'isPeerReviewed', 'sourceUrl', 'sourcePage', 'inLibrary', 'foundBy'
+];
+
+/** @const {string[]} Article fields whose coverage the extraction report measures */
+const REPORT_FIELDS = [
+  'title', 'authors', 'year', 'date', 'journal', 'documentType',
+  'doi', 'abstract', 'volume', 'issue', 'startPage', 'issn',
+  'publisher', 'language', 'sourceIndex'
+];
+
+/** @const {number} Rejected records listed individually in an extraction report */
+const MAX_REPORTED_REJECTIONS = 200;
+
+/** @const {Object<string, string>} RIS tags read by the library importer */
+const RIS_IMPORT_FIELDS = {
+  TI: 'title',
+  T1: 'title',
+  JO: 'journal',
+  JF: 'journal',
+  T2: 'journal',
+  PY: 'year',
+  Y1: 'year',
+  DA: 'year',
+  DO: 'doi',
+  SN: 'issn',
+  VL: 'volume',
+  IS: 'issue',
+  SP: 'startPage',
+  EP: 'endPage',
+  AB: 'abstract',
+  N2: 'abstract',
+  UR: 'sourceUrl'
+};
+
+/** @const {Object<string, string>} BibTeX fields read by the library importer */
+const BIBTEX_IMPORT_FIELDS = {
+  title: 'title',
+  journal: 'journal',
+  journaltitle: 'journal',
+  booktitle: 'journal',
+  year: 'year',
+  date: 'year',
+  doi: 'doi',
+  issn: 'issn',
+  volume: 'volume',
+  number: 'issue',
+  abstract: 'abstract',
+  url: 'sourceUrl'
+};
+
+/** @const {Set<string>} Lowercase name particles ("von" part in BibTeX terms) */
+const NAME_PARTICLES = new Set([
+  'da', 'das', 'de', 'del', 'della', 'der', 'den', 'di', 'do', 'dos', 'du',
+  'la', 'le', 'van', 'von', 'y'
+]);
+
+/** @const {Set<string>} Generational name suffixes ("Jr" part in BibTeX terms) */
+const NAME_SUFFIXES = new Set([
+  'filho', 'filha', 'neto', 'neta', 'sobrinho', 'sobrinha', 'júnior', 'junior',
+  'jr', 'jr.', 'sr', 'sr.', 'ii', 'iii', 'iv'
+]);
+
+/** @const {Object<string, string>} Combining diacritics to LaTeX accent commands */
+const LATEX_ACCENTS = {
+  '\u0300': '\\`',
+  '\u0301': "\\'",
+  '\u0302': '\\^',
+  '\u0303': '\\~',
+  '\u0304': '\\=',
+  '\u0306': '\\u ',
+  '\u0307': '\\.',
+  '\u0308': '\\"',
+  '\u030A': '\\r ',
+  '\u030B': '\\H ',
+  '\u030C': '\\v ',
+  '\u0327': '\\c ',
+  '\u0328': '\\k '
+};
+
+/** @const {Object<string, string>} Non-decomposable characters to LaTeX */
+const LATEX_SYMBOLS = {
+  'ß': '{\\ss}',
+  'æ': '{\\ae}',
+  'Æ': '{\\AE}',
+  'œ': '{\\oe}',
+  'Œ': '{\\OE}',
+  'ø': '{\\o}',
+  'Ø': '{\\O}',
+  'ł': '{\\l}',
+  'Ł': '{\\L}',
+  'ı': '{\\i}',
+  '–': '--',
+  '—': '---',
+  '‘': '`',
+  '’': "'",
+  '“': '``',
+  '”': "''"
+};
+
+/** @const {Object<string, number>} Month name prefixes (Portuguese and English, unaccented) to month numbers */
+const MONTH_PREFIXES = {
+  jan: 1, fev: 2, feb: 2, mar: 3, abr: 4, apr: 4, mai: 5, may: 5, jun: 6,
+  jul: 7, ago: 8, aug: 8, set: 9, sep: 9, out: 10, oct: 10, nov: 11, dez: 12, dec: 12
+};
+
+/** @const {string[]} BibTeX month macros, January first */
+const BIBTEX_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** @const {Object<string, string>} ISO 639-1 language codes to biblatex langid names */
+const BIBLATEX_LANGIDS = {
+  pt: 'portuguese',
+  en: 'english',
+  es: 'spanish',
+  fr: 'french',
+  de: 'german',
+  it: 'italian'
+};
+
+/** @const {string} Default BibTeX citation key pattern (Better BibTeX style) */
+const DEFAULT_CITEKEY_PATTERN = '[auth][year][shorttitle]';
+
+/** @const {Set<string>} Title words ignored when building citation keys */
+const CITEKEY_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+  'o', 'os', 'as', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'na', 'nas', 'no', 'nos',
+  'um', 'uma', 'para', 'por', 'com', 'sobre', 'entre', 'el', 'la', 'los', 'las', 'y'
+]);
+
+// === TYPE DEFINITIONS ===
+
+/**
+ * @typedef {Object} Article
+ * @property {string} id - Unique article identifier
+ * @property {string} title - Article title
+ * @property {string[]} authors - List of authors
+ * @property {string} journal - Journal name
+ * @property {string} year - Publication year (four digits, or empty)
+ * @property {string} [date] - Publication date when the card gives at least a month (YYYY-MM or YYYY-MM-DD)
+ * @property {string} documentType - Type of document
+ * @property {boolean} isOpenAccess - Open access indicator
+ * @property {boolean} isPeerReviewed - Peer review indicator
+ * @property {string} [detailUrl] - Absolute URL of the CAPES detail page
+ * @property {string} [sourceUrl] - Search results URL the article was found on
+ * @property {number} [sourcePage] - Search results page number
+ * @property {string} [doi] - Digital Object Identifier
+ * @property {string} [abstract] - Article abstract
+ * @property {string} [volume] - Journal volume
+ * @property {string} [issue] - Journal issue
+ * @property {string} [startPage] - First page
+ * @property {string} [endPage] - Last page
+ * @property {string} [issn] - Journal ISSN
+ * @property {string} [publisher] - Publisher
+ * @property {string} [language] - Language (ISO 639-1 code when recognized, otherwise as printed)
+ * @property {string} [sourceIndex] - Indexing database CAPES took the record from (e.g. "Scopus")
+ * @property {string[]} [foundBy] - Queries that found the article (collections only)
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {boolean} enrich - Fetch detail pages for full metadata
+ * @property {boolean} asciiSafe - Encode BibTeX diacritics as LaTeX commands
+ * @property {string} citeKeyPattern - BibTeX citation key pattern
+ * @property {number} startPage - First results page to export
+ * @property {number} endPage - Last results page to export (0 = no limit)
+ * @property {number} maxArticles - Maximum records to export (0 = no limit)
+ * @property {number} pageRetries - Retries for a results page before it is skipped
+ * @property {boolean} onlyNew - Skip articles already exported for the saved search
+ * @property {boolean} writeManifest - Download a JSON manifest describing the search
+ * @property {RecordFilters} filters - Client-side record filters
+ * @property {string} collection - Add records to this named collection instead of downloading ('' = none)
+ */
+
+/**
+ * @typedef {Object} RecordFilters
+ * @property {number} yearFrom - Earliest publication year (0 = no limit)
+ * @property {number} yearTo - Latest publication year (0 = no limit)
+ * @property {boolean} openAccessOnly - Keep only open access records
+ * @property {boolean} peerReviewedOnly - Keep only peer-reviewed records
+ * @property {string[]} documentTypes - Document types to keep (empty = all)
+ * @property {string[]} includeKeywords - Title must contain one of these (empty = any)
+ * @property {string[]} excludeKeywords - Title must contain none of these
+ */
+
+/**
+ * @typedef {Object} SearchState
+ * @property {string} query - Search query
+ * @property {string} searchUrl - Search URL without page parameter
+ * @property {Object<string, string>} filters - URL filter parameters (everything but q and page)
+ * @property {Object<string, string[]>} facets - Filters ticked in the results sidebar, by group
+ * @property {number} totalResults - Result count reported by CAPES (0 if unknown)
+ * @property {string} capturedAt - ISO timestamp when the state was read
+ */
+
+/**
+ * @typedef {Object} PersonName
+ * @property {string} first - Given names
+ * @property {string} von - Lowercase particles (da, de, dos, van...)
+ * @property {string} last - Family name
+ * @property {string} jr - Generational suffix (Filho, Neto, Jr...)
+ */
+
+/**
+ * @typedef {Object} PageResult
+ * @property {number} page - Results page number
+ * @property {string} state - ok|noResults|rateLimited|empty
+ * @property {Article[]} articles - Articles extracted from the page
+ * @property {RejectedRecord[]} rejected - Result cards that didn't yield a valid article
+ * @property {boolean} hasNextPage - Whether another results page exists
+ * @property {number} totalArticles - Total articles count estimate
+ */
+
+/**
+ * @typedef {Object} RejectedRecord
+ * @property {string} id - CAPES id (or card index placeholder)
+ * @property {string} title - Title as extracted ('' when missing)
+ * @property {number} page - Results page number
+ * @property {string} reason - Why the record was rejected
+ */
+
+/**
+ * @typedef {Object} ExtractionReport
+ * @property {string} generatedAt - ISO timestamp
+ * @property {string} query - Search query
+ * @property {string} searchUrl - Search URL without page parameter
+ * @property {number} recordCount - Records in the export
+ * @property {Object<string, {count: number, percent: number}>} coverage - Records with each field
+ * @property {number} rejectedCount - Result cards rejected during extraction
+ * @property {RejectedRecord[]} rejected - Rejected cards (first MAX_REPORTED_REJECTIONS)
+ * @property {number} duplicatesMerged - Duplicate records merged
+ * @property {number} excludedCount - Records removed by the record filters
+ * @property {number} ownedCount - Records found in the imported library
+ * @property {number} alreadySeen - Records left out by "only new results"
+ * @property {{page: number, reason: string}[]} skippedPages - Pages given up on
+ */
+
+/**
+ * @typedef {Object} ExportJobSummary
+ * @property {string} id - Job identifier
+ * @property {string} status - running|paused|completed|cancelled|failed
+ * @property {string} phase - crawling|enriching|finishing
+ * @property {string} format - Export format
+ * @property {string} query - Search query
+ * @property {string} searchUrl - Search URL without page parameter
+ * @property {number} progress - Progress percentage (0-100)
+ * @property {string} message - Human-readable status
+ * @property {string} error - Failure reason
+ * @property {number} articleCount - Articles collected so far
+ * @property {number} pagesDone - Result pages collected so far
+ * @property {number} totalArticles - Total articles count estimate
+ * @property {number} duplicatesMerged - Duplicate records merged
+ * @property {boolean} partial - True when a limit or skipped page cut the export short
+ * @property {{page: number, reason: string}[]} skippedPages - Pages given up on
+ * @property {number} alreadySeen - Articles left out because a previous export had them
+ * @property {number} excludedCount - Articles removed by the record filters
+ * @property {number} rejectedCount - Result cards rejected during extraction
+ * @property {?Object<string, {count: number, percent: number}>} coverage - Field coverage once finished
+ * @property {string} filename - Downloaded filename
+ * @property {string} startTime - ISO start timestamp
+ * @property {string} updatedTime - ISO last update timestamp
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Entry identifier
+ * @property {string} query - Search query
+ * @property {Object<string, string>} filters - Search filters from the URL
+ * @property {string} searchUrl - Search URL without page parameter
+ * @property {SearchState} searchState - Full search state at export time
+ * @property {string} format - Format of the original download
+ * @property {ExportOptions} options - Export options used
+ * @property {number} count - Exported record count
+ * @property {boolean} partial - True when the export was cut short
+ * @property {boolean} fromSelection - True when only selected results were exported
+ * @property {string} date - ISO export timestamp
+ * @property {Article[]} [articles] - Exported articles (omitted in listings)
+ * @property {ExtractionReport} [report] - Data-quality report (listings only carry hasReport)
+ */
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id - Saved search identifier
+ * @property {string} query - Search query
+ * @property {Object<string, string>} filters - Search filters from the URL
+ * @property {string} searchUrl - Normalized search URL
+ * @property {string[]} seenIds - CAPES ids already exported for this search
+ * @property {string} createdAt - ISO timestamp when the search was saved
+ * @property {string} lastExportDate - ISO timestamp of the last export ('' if none)
+ * @property {number} lastNewCount - New records in the last export
+ * @property {Article[]} pendingArticles - New records found by scheduled checks, ready to export
+ * @property {string} lastCheckedDate - ISO timestamp of the last scheduled check ('' if none)
+ */
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id - Collection identifier
+ * @property {string} name - Collection name (unique, case-insensitive)
+ * @property {SearchState[]} searches - Searches that added records, oldest first
+ * @property {Article[]} articles - Deduplicated records, each tagged with foundBy
+ * @property {number} duplicatesMerged - Records merged because an earlier search had them
+ * @property {string} createdAt - ISO creation timestamp
+ * @property {string} updatedAt - ISO timestamp of the last added search
+ */
+
+// === UTILITIES ===
+
+/**
+ * Sleep utility for async delays
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Generate timestamp string for filenames
+ * @returns {string} ISO timestamp formatted for filenames
+ */
+const getTimestamp = () => new Date().toISOString()
+  .slice(0, 19)
+  .replace(/[:-]/g, '');
+
+/**
+ * Parse a positive integer option
+ * @param {*} value - Raw value
+ * @returns {number} Positive integer or 0 when unset/invalid
+ */
+const toPositiveInt = value => {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : 0;
+};
+
+/**
+ * Strip the page parameter and hash from a search URL
+ * Saved searches and jobs are keyed by this form
+ * @param {string} href - Search results URL
+ * @returns {string} Search URL
+ */
+const normalizeSearchUrl = href => {
+  const url = new URL(href);
+  url.searchParams.delete('page');
+  url.hash = '';
+  return url.toString();
+};
+
+/**
+ * Build the URL of a specific results page
+ * @param {string} searchUrl - Search URL without page parameter
+ * @param {number} page - Page number
+ * @returns {string} Page URL
+ */
+const buildPageUrl = (searchUrl, page) => {
+  const url = new URL(searchUrl);
+  url.searchParams.set('page', page);
+  return url.toString();
+};
+
+/**
+ * Run an async worker over items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {function(*, number): Promise<void>} worker - Async worker
+ * @returns {Promise<void>}
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+};
+
+// === PUBLICATION DATES ===
+
+class PublicationDate {
+  /**
+   * Parse a printed publication date ("2017", "mar. 2017", "15 mar. 2017",
+   * "março de 2017", "2017-03-15", "15/03/2017", "03/2017")
+   * @param {string} text - Printed date
+   * @returns {{year: string, date: string}} Four-digit year, and an ISO date
+   *   (YYYY-MM or YYYY-MM-DD) when the text has at least a month; empty when not found
+   */
+  static parse(text) {
+    const value = String(text || '').toLowerCase();
+
+    let match = value.match(/\b(\d{4})-(\d{1,2})(?:-(\d{1,2}))?\b/);
+    if (match) return this.build(match[1], match[2], match[3]);
+
+    match = value.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+    if (match) return this.build(match[3], match[2], match[1]);
+
+    match = value.match(/\b(\d{1,2})\/(\d{4})\b/);
+    if (match) return this.build(match[2], match[1]);
+
+    match = value.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+    if (!match) return { year: '', date: '' };
+
+    const month = this.findMonth(value.slice(0, match.index));
+    const day = month ? value.match(/^\s*(\d{1,2})\b/) : null;
+    return this.build(match[1], month, day && day[1]);
+  }
+
+  /**
+   * Find the first month name in a text
+   * @param {string} text - Lowercase text
+   * @returns {number} Month number, or 0 when none
+   */
+  static findMonth(text) {
+    const words = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z]{3,}/g) || [];
+    const month = words.find(word => MONTH_PREFIXES[word.slice(0, 3)]);
+    return month ? MONTH_PREFIXES[month.slice(0, 3)] : 0;
+  }
+
+  /**
+   * Assemble a year and ISO date, dropping out-of-range months and days
+   * @param {string} year - Four-digit year
+   * @param {string|number} [month] - Month number
+   * @param {string|number} [day] - Day of month
+   * @returns {{year: string, date: string}} Year and ISO date
+   */
+  static build(year, month, day) {
+    const monthNumber = parseInt(month, 10);
+    if (!(monthNumber >= 1 && monthNumber <= 12)) return { year, date: '' };
+
+    const pad = number => String(number).padStart(2, '0');
+    const dayNumber = parseInt(day, 10);
+    const date = dayNumber >= 1 && dayNumber <= 31
+      ? `${year}-${pad(monthNumber)}-${pad(dayNumber)}`
+      : `${year}-${pad(monthNumber)}`;
+    return { year, date };
+  }
+
+  /**
+   * Split an ISO date into numeric parts
+   * @param {string} date - ISO date (YYYY, YYYY-MM or YYYY-MM-DD)
+   * @returns {number[]} Year, month and day as present
+   */
+  static toParts(date) {
+    return String(date || '').split('-').filter(Boolean).map(part => parseInt(part, 10));
+  }
+}
+
+// === DEDUPLICATION ===
+
+class Deduplicator {
+  /**
+   * Merge duplicate articles
+   * Records match on CAPES id, or on normalized title + year when the
+   * first-author surnames agree (or, if one is missing, the journal or DOI does)
+   * @param {Article[]} articles - Articles in collection order
+   * @returns {{articles: Article[], duplicates: number}} Unique articles and merge count
+   */
+  static deduplicate(articles) {
+    const unique = [];
+    const byId = new Map();
+    const byTitle = new Map();
+    let duplicates = 0;
+
+    articles.forEach(article => {
+      const match = byId.get(article.id) || this.findTitleMatch(article, byTitle);
+
+      if (match) {
+        this.merge(match, article);
+        byId.set(article.id, match);
+        duplicates++;
+        return;
+      }
+
+      const copy = { ...article, authors: [...article.authors] };
+      unique.push(copy);
+      byId.set(copy.id, copy);
+
+      const titleKey = this.titleKey(copy);
+      if (titleKey) {
+        if (!byTitle.has(titleKey)) byTitle.set(titleKey, []);
+        byTitle.get(titleKey).push(copy);
+      }
+    });
+
+    return { articles: unique, duplicates };
+  }
+
+  /**
+   * Find an already-kept article with the same title, year and first author
+   * A record without a first author only matches on an equal journal or DOI,
+   * so a bare title (and year) never merges two papers on its own
+   * @param {Article} article - Candidate article
+   * @param {Map<string, Article[]>} byTitle - Kept articles by title key
+   * @returns {Article|null} Matching article
+   */
+  static findTitleMatch(article, byTitle) {
+    const candidates = byTitle.get(this.titleKey(article)) || [];
+    const surname = this.firstAuthorSurname(article);
+
+    return candidates.find(candidate => {
+      const other = this.firstAuthorSurname(candidate);
+      if (surname && other) return surname === other;
+      return this.sameValue(article.journal, candidate.journal) ||
+        this.sameValue(article.doi, candidate.doi);
+    }) || null;
+  }
+
+  /**
+   * Check whether two metadata values are present and equal once normalized
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} True if both are non-empty and equal
+   */
+  static sameValue(a, b) {
+    const normalized = this.normalize(a);
+    return normalized !== '' && normalized === this.normalize(b);
+  }
+
+  /**
+   * Build normalized title + year key
+   * @param {Article} article - Article data
+   * @returns {string} Key or empty string when title is missing
+   */
+  static titleKey(article) {
+    const title = this.normalize(article.title);
+    if (!title) return '';
+    return `${title}|${FormatConverter.extractYear(article.year)}`;
+  }
+
+  /**
+   * Get normalized first-author surname
+   * @param {Article} article - Article data
+   * @returns {string} Surname or empty string
+   */
+  static firstAuthorSurname(article) {
+    if (article.authors.length === 0) return '';
+    return this.normalize(AuthorNameParser.parse(article.authors[0]).last);
+  }
+
+  /**
+   * Normalize text for comparison (no accents, case or punctuation)
+   * @param {string} str - Text to normalize
+   * @returns {string} Normalized text
+   */
+  static normalize(str) {
+    return (str || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Merge duplicate metadata into the kept article
+   * @param {Article} target - Kept article (updated in place)
+   * @param {Article} duplicate - Duplicate article
+   */
+  static merge(target, duplicate) {
+    Object.entries(duplicate).forEach(([key, value]) => {
+      if (typeof value === 'string' && value && !target[key]) {
+        target[key] = value;
+      }
+    });
+
+    if (duplicate.authors.length > target.authors.length) {
+      target.authors = [...duplicate.authors];
+    }
+
+    target.isOpenAccess = target.isOpenAccess || duplicate.isOpenAccess;
+    target.isPeerReviewed = target.isPeerReviewed || duplicate.isPeerReviewed;
+
+    if (duplicate.foundBy) {
+      target.foundBy = Array.from(new Set([...(target.foundBy || []), ...duplicate.foundBy]));
+    }
+
+    if (duplicate.id && duplicate.id !== target.id) {
+      const ids = new Set([...(target.alternateIds || []), duplicate.id, ...(duplicate.alternateIds || [])]);
+      target.alternateIds = Array.from(ids);
+    }
+  }
+}
+
+// === EXTRACTION REPORT ===
+
+class ExtractionReport {
+  /**
+   * Build the data-quality report for a finished export
+   * @param {Object} details - Export details (an ExportJob works as-is)
+   * @param {Article[]} details.articles - Exported records
+   * @param {RejectedRecord[]} [details.rejected] - Rejected cards
+   * @param {number} [details.rejectedCount] - Rejected card count (may exceed the list)
+   * @returns {ExtractionReport} Report
+   */
+  static build(details) {
+    const rejected = details.rejected || [];
+    return {
+      generatedAt: new Date().toISOString(),
+      query: details.query || '',
+      searchUrl: details.searchUrl || '',
+      recordCount: details.articles.length,
+      coverage: this.coverage(details.articles),
+      rejectedCount: details.rejectedCount || rejected.length,
+      rejected: rejected.slice(0, MAX_REPORTED_REJECTIONS),
+      duplicatesMerged: details.duplicatesMerged || 0,
+      excludedCount: details.excludedCount || 0,
+      ownedCount: details.ownedCount || 0,
+      alreadySeen: details.alreadySeen || 0,
+      skippedPages: details.skippedPages || []
+    };
+  }
+
+  /**
+   * Count how many records have each report field
+   * @param {Article[]} articles - Records
+   * @returns {Object<string, {count: number, percent: number}>} Coverage by field
+   */
+  static coverage(articles) {
+    const coverage = {};
+    REPORT_FIELDS.forEach(field => {
+      const count = articles.filter(article => this.hasValue(article[field])).length;
+      const percent = articles.length > 0 ? Math.round((count / articles.length) * 100) : 0;
+      coverage[field] = { count, percent };
+    });
+    return coverage;
+  }
+
+  /**
+   * Check whether a field value counts as present
+   * @param {*} value - Field value
+   * @returns {boolean} True for non-empty strings and lists
+   */
+  static hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+  }
+}
+
+// === RECORD FILTERS ===
+
+class RecordFilter {
+  /**
+   * Normalize filters received from the popup
+   * @param {Object} filters - Raw filters
+   * @returns {RecordFilters} Normalized filters
+   */
+  static normalize(filters = {}) {
+    return {
+      yearFrom: toPositiveInt(filters.yearFrom),
+      yearTo: toPositiveInt(filters.yearTo),
+      openAccessOnly: Boolean(filters.openAccessOnly),
+      peerReviewedOnly: Boolean(filters.peerReviewedOnly),
+      documentTypes: Array.isArray(filters.documentTypes) ? filters.documentTypes.filter(Boolean) : [],
+      includeKeywords: this.parseKeywords(filters.includeKeywords),
+      excludeKeywords: this.parseKeywords(filters.excludeKeywords)
+    };
+  }
+
+  /**
+   * Split a comma/semicolon/newline separated keyword list
+   * @param {string|string[]} keywords - Keyword list
+   * @returns {string[]} Normalized keywords
+   */
+  static parseKeywords(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,;\n]/);
+    return list.map(keyword => this.normalizeText(keyword)).filter(Boolean);
+  }
+
+  /**
+   * Lowercase and strip accents for keyword matching
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  static normalizeText(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Check whether any filter is set
+   * @param {RecordFilters} filters - Normalized filters
+   * @returns {boolean} True if at least one filter applies
+   */
+  static isActive(filters) {
+    return Boolean(filters) && Boolean(
+      filters.yearFrom || filters.yearTo || filters.openAccessOnly || filters.peerReviewedOnly ||
+      filters.documentTypes.length || filters.includeKeywords.length || filters.excludeKeywords.length
+    );
+  }
+
+  /**
+   * Split articles into kept and excluded records
+   * @param {Article[]} articles - Articles
+   * @param {RecordFilters} filters - Normalized filters
+   * @returns {{kept: Article[], excluded: Article[]}} Filter result
+   */
+  static apply(articles, filters) {
+    if (!this.isActive(filters)) {
+      return { kept: articles, excluded: [] };
+    }
+
+    const kept = [];
+    const excluded = [];
+    articles.forEach(article => {
+      (this.matches(article, filters) ? kept : excluded).push(article);
+    });
+    return { kept, excluded };
+  }
+
+  /**
+   * Check a single article against the filters
+   * Records without a year are kept by year filters (CAPES omits it for some items)
+   * @param {Article} article - Article
+   * @param {RecordFilters} filters - Normalized filters
+   * @returns {boolean} True if the article is kept
+   */
+  static matches(article, filters) {
+    const year = parseInt(FormatConverter.extractYear(article.year), 10);
+    if (year) {
+      if (filters.yearFrom && year < filters.yearFrom) return false;
+      if (filters.yearTo && year > filters.yearTo) return false;
+    }
+
+    if (filters.openAccessOnly && !article.isOpenAccess) return false;
+    if (filters.peerReviewedOnly && !article.isPeerReviewed) return false;
+
+    if (filters.documentTypes.length > 0 && !filters.documentTypes.includes(article.documentType)) {
+      return false;
+    }
+
+    const title = this.normalizeText(article.title);
+    if (filters.includeKeywords.length > 0 &&
+        !filters.includeKeywords.some(keyword => title.includes(keyword))) {
+      return false;
+    }
+    return !filters.excludeKeywords.some(keyword => title.includes(keyword));
+  }
+}
+
+// === AUTHOR NAMES ===
+
+class AuthorNameParser {
+  /**
+   * Parse a CAPES author string into name parts
+   * Handles "Last, First", "Last, Jr, First" and "First von Last Jr" forms
+   * @param {string} author - Raw author string
+   * @returns {PersonName} Parsed name
+   */
+  static parse(author) {
+    const name = { first: '', von: '', last: '', jr: '' };
+    const segments = author.split(',').map(part => part.trim()).filter(Boolean);
+
+    if (segments.length === 0) return name;
+
+    if (segments.length === 1) {
+      return this.parseNaturalOrder(segments[0].split(/\s+/));
+    }
+
+    const lastWords = segments[0].split(/\s+/);
+    const firstWords = segments[segments.length - 1].split(/\s+/);
+    const jrWords = segments.length > 2 ? segments.slice(1, -1) : [];
+
+    // Particles moved behind the given names ("Silva, João da")
+    const trailingVon = [];
+    while (firstWords.length > 1 && this.isParticle(firstWords[firstWords.length - 1])) {
+      trailingVon.unshift(firstWords.pop());
+    }
+
+    const leadingVon = [];
+    while (lastWords.length > 1 && this.isParticle(lastWords[0])) {
+      leadingVon.push(lastWords.shift());
+    }
+
+    while (lastWords.length > 1 && this.isSuffix(lastWords[lastWords.length - 1])) {
+      jrWords.unshift(lastWords.pop());
+    }
+
+    name.first = firstWords.join(' ');
+    name.von = [...trailingVon, ...leadingVon].join(' ');
+    name.last = lastWords.join(' ');
+    name.jr = jrWords.join(' ');
+    return name;
+  }
+
+  /**
+   * Parse a name written in natural order ("Carlos de Souza Filho")
+   * @param {string[]} words - Name words
+   * @returns {PersonName} Parsed name
+   */
+  static parseNaturalOrder(words) {
+    const name = { first: '', von: '', last: '', jr: '' };
+
+    if (words.length > 1 && this.isSuffix(words[words.length - 1])) {
+      name.jr = words.pop();
+    }
+
+    if (words.length === 1) {
+      name.last = words[0];
+      return name;
+    }
+
+    const vonStart = words.findIndex((word, index) => index > 0 && this.isParticle(word));
+    if (vonStart === -1) {
+      name.last = words.pop();
+      name.first = words.join(' ');
+      return name;
+    }
+
+    let vonEnd = vonStart;
+    for (let i = vonStart; i < words.length - 1; i++) {
+      if (this.isParticle(words[i])) vonEnd = i;
+    }
+
+    name.first = words.slice(0, vonStart).join(' ');
+    name.von = words.slice(vonStart, vonEnd + 1).join(' ');
+    name.last = words.slice(vonEnd + 1).join(' ');
+    return name;
+  }
+
+  /**
+   * Format a name for BibTeX ("von Last, Jr, First")
+   * @param {string} author - Raw author string
+   * @returns {string} BibTeX name
+   */
+  static toBibTeX(author) {
+    const { first, von, last, jr } = this.parse(author);
+    const family = [von, last].filter(Boolean).join(' ');
+    return [family, jr, first].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Check for a lowercase name particle
+   * @param {string} word - Name word
+   * @returns {boolean} True if word is a particle
+   */
+  static isParticle(word) {
+    return NAME_PARTICLES.has(word.toLowerCase()) && word === word.toLowerCase();
+  }
+
+  /**
+   * Check for a generational suffix
+   * @param {string} word - Name word
+   * @returns {boolean} True if word is a suffix
+   */
+  static isSuffix(word) {
+    return NAME_SUFFIXES.has(word.toLowerCase());
+  }
+}
+
+// === CITATION KEYS ===
+
+class CitationKeyGenerator {
+  /**
+   * Generate a citation key unique within an export
+   * Collisions get a/b/c... suffixes in export order
+   * @param {Article} article - Article data
+   * @param {string} pattern - Key pattern (e.g. "[auth][year][shorttitle]")
+   * @param {Set<string>} usedKeys - Keys already assigned in this export (updated)
+   * @returns {string} Unique citation key
+   */
+  static generateUnique(article, pattern, usedKeys) {
+    const base = this.generate(article, pattern);
+    let key = base;
+
+    for (let n = 0; usedKeys.has(key); n++) {
+      key = base + this.suffix(n);
+    }
+
+    usedKeys.add(key);
+    return key;
+  }
+
+  /**
+   * Generate a citation key from a pattern
+   * Supports [auth], [authors], [authetal], [year], [shorttitle], [veryshorttitle],
+   * [title], [journal] and [id], with optional :lower / :upper modifiers
+   * @param {Article} article - Article data
+   * @param {string} pattern - Key pattern
+   * @returns {string} Citation key (never empty)
+   */
+  static generate(article, pattern = DEFAULT_CITEKEY_PATTERN) {
+    const key = (pattern || DEFAULT_CITEKEY_PATTERN).replace(
+      /\[([a-z]+)((?::[a-z]+)*)\]|([^[\]]+)/gi,
+      (match, token, modifiers, literal) => {
+        if (literal) return literal.normalize('NFD').replace(/[^A-Za-z0-9_:.-]/g, '');
+        const value = this.resolveToken(article, token.toLowerCase());
+        return this.applyModifiers(value, modifiers);
+      }
+    );
+
+    if (key) return key;
+
+    // Nothing in the pattern resolved: use the CAPES id, or a bare "capes"
+    // that generateUnique suffixes (capes, capesa, capesb...) when there is none
+    const id = this.transliterate(article.id || '');
+    return id ? `capes${id}` : 'capes';
+  }
+
+  /**
+   * Resolve a single pattern token
+   * @param {Article} article - Article data
+   * @param {string} token - Token name
+   * @returns {string} Token value (ASCII letters/digits only)
+   */
+  static resolveToken(article, token) {
+    const lastNames = article.authors
+      .map(author => this.transliterate(AuthorNameParser.parse(author).last))
+      .filter(Boolean);
+    const titleWords = this.getTitleWords(article.title);
+
+    switch (token) {
+      case 'auth':
+        return lastNames[0] || '';
+      case 'authors':
+        return lastNames.slice(0, 3).join('') + (lastNames.length > 3 ? 'EtAl' : '');
+      case 'authetal':
+        if (lastNames.length > 2) return `${lastNames[0]}EtAl`;
+        return lastNames.join('And');
+      case 'year': {
+        const year = FormatConverter.extractYear(article.year);
+        return year === 'unknown' ? '' : year;
+      }
+      case 'shorttitle':
+        return titleWords.slice(0, 3).map(this.capitalize).join('');
+      case 'veryshorttitle':
+        return titleWords.slice(0, 1).map(this.capitalize).join('');
+      case 'title':
+        return titleWords.map(this.capitalize).join('');
+      case 'journal':
+        return this.getTitleWords(article.journal).map(word => word[0].toUpperCase()).join('');
+      case 'id':
+        return this.transliterate(article.id || '');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Apply :lower / :upper modifiers
+   * @param {string} value - Token value
+   * @param {string} modifiers - Modifier string (e.g. ":lower")
+   * @returns {string} Modified value
+   */
+  static applyModifiers(value, modifiers) {
+    return (modifiers || '').split(':').filter(Boolean).reduce((result, modifier) => {
+      if (modifier === 'lower') return result.toLowerCase();
+      if (modifier === 'upper') return result.toUpperCase();
+      return result;
+    }, value);
+  }
+
+  /**
+   * Extract significant title words as ASCII
+   * @param {string} title - Title text
+   * @returns {string[]} Significant words
+   */
+  static getTitleWords(title) {
+    return (title || '')
+      .split(/[\s\-–—:/]+/)
+      .map(word => this.transliterate(word))
+      .filter(word => word && !CITEKEY_STOP_WORDS.has(word.toLowerCase()));
+  }
+
+  /**
+   * Strip accents and anything outside [A-Za-z0-9]
+   * @param {string} str - Input text
+   * @returns {string} ASCII text
+   */
+  static transliterate(str) {
+    return Array.from(str.normalize('NFD'), char => (
+      LATEX_SYMBOLS[char] ? LATEX_SYMBOLS[char].replace(/[{}\\]/g, '') : char
+    ))
+      .join('')
+      .replace(/[^A-Za-z0-9]/g, '');
+  }
+
+  /**
+   * Capitalize first letter
+   * @param {string} word - Word
+   * @returns {string} Capitalized word
+   */
+  static capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  /**
+   * Collision suffix for the nth duplicate (0 -> a, 25 -> z, 26 -> aa)
+   * @param {number} n - Duplicate index
+   * @returns {string} Suffix letters
+   */
+  static suffix(n) {
+    let result = '';
+    for (let i = n + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+      result = String.fromCharCode(97 + ((i - 1) % 26)) + result;
+    }
+    return result;
+  }
+}
+
+// === LATEX ENCODING ===
+
+class LatexEncoder {
+  /**
+   * Convert non-ASCII characters to LaTeX commands (e.g. ã -> {\~a}, ç -> {\c c})
+   * @param {string} str - Text to encode (already BibTeX-escaped)
+   * @returns {string} ASCII-only text
+   */
+  static encode(str) {
+    return Array.from(str.normalize('NFC'), char => this.encodeChar(char)).join('');
+  }
+
+  /**
+   * Convert a single character to its LaTeX form
+   * @param {string} char - Character to encode
+   * @returns {string} ASCII representation
+   */
+  static encodeChar(char) {
+    if (char.charCodeAt(0) < 128) return char;
+    if (LATEX_SYMBOLS[char]) return LATEX_SYMBOLS[char];
+
+    const [base, ...marks] = Array.from(char.normalize('NFD'));
+    const accents = marks.map(mark => LATEX_ACCENTS[mark]);
+
+    if (base.charCodeAt(0) >= 128 || marks.length === 0 || accents.some(accent => !accent)) {
+      // No LaTeX equivalent: fall back to the stripped ASCII base if any
+      const ascii = char.normalize('NFKD').replace(/[^\x00-\x7F]/g, '');
+      return ascii || '?';
+    }
+
+    // Dotless i/j under accents: {\'\i}
+    const letter = base === 'i' ? '\\i' : base === 'j' ? '\\j' : base;
+    return accents.reduceRight((inner, accent) => `{${accent}${inner}}`, letter);
+  }
+}
+
+// === FORMAT CONVERTERS ===
+
+class FormatConverter {
+  /**
+   * Convert articles to RIS format
+   * @param {Article[]} articles - Articles to convert
+   * @returns {string} RIS formatted string
+   */
+  static toRIS(articles) {
+    const records = articles.map(article => this.articleToRIS(article));
+    return records.join('\n\n') + '\n';
+  }
+
+  /**
+   * Convert single article to RIS format
+   * @param {Article} article - Article to convert
+   * @returns {string} RIS record string
+   */
+  static articleToRIS(article) {
+    const lines = [];
+    const risType = RIS_TYPE_MAP[article.documentType] || 'JOUR';
+    
+    lines.push(`TY  - ${risType}`);
+    
+    if (article.title) {
+      lines.push(`TI  - ${article.title}`);
+    }
+    
+    article.authors.forEach(author => {
+      lines.push(`AU  - ${author}`);
+    });
+    
+    if (article.year) {
+      const yearMatch = article.year.match(/(\d{4})/);
+      if (yearMatch) {
+        lines.push(`PY  - ${yearMatch[1]}`);
+      }
+    }
+
+    if (article.date) lines.push(`DA  - ${article.date.replace(/-/g, '/')}`);
+    
+    if (article.journal) {
+      lines.push(`T2  - ${article.journal}`);
+      lines.push(`JF  - ${article.journal}`);
+    }
+
+    if (article.volume) lines.push(`VL  - ${article.volume}`);
+    if (article.issue) lines.push(`IS  - ${article.issue}`);
+    if (article.startPage) lines.push(`SP  - ${article.startPage}`);
+    if (article.endPage) lines.push(`EP  - ${article.endPage}`);
+    if (article.issn) lines.push(`SN  - ${article.issn}`);
+    if (article.publisher) lines.push(`PB  - ${article.publisher}`);
+    if (article.language) lines.push(`LA  - ${article.language}`);
+    if (article.doi) lines.push(`DO  - ${article.doi}`);
+    if (article.sourceIndex) lines.push(`DB  - ${article.sourceIndex}`);
+    if (article.abstract) lines.push(`AB  - ${article.abstract.replace(/\s+/g, ' ')}`);
+    
+    const notes = this.buildNotesArray(article);
+    if (notes.length > 0) {
+      lines.push(`N1  - ${notes.join('; ')}`);
+    }
+    
+    lines.push('ER  - ');
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Convert articles to BibTeX format
+   * @param {Article[]} articles - Articles to convert
+   * @param {ExportOptions} options - Export options
+   * @returns {string} BibTeX formatted string
+   */
+  static toBibTeX(articles, options = {}) {
+    const usedKeys = new Set();
+    const entries = articles
+      .filter(article => article.title)
+      .map(article => this.articleToBibTeX(article, options, usedKeys));
+    return entries.join('\n\n') + '\n';
+  }
+
+  /**
+   * Convert single article to BibTeX format
+   * @param {Article} article - Article to convert
+   * @param {ExportOptions} options - Export options
+   * @param {Set<string>} usedKeys - Citation keys already used in this export
+   * @returns {string} BibTeX entry string
+   */
+  static articleToBibTeX(article, options = {}, usedKeys = new Set()) {
+    const citationKey = CitationKeyGenerator.generateUnique(article, options.citeKeyPattern, usedKeys);
+    const entryType = BIBTEX_TYPE_MAP[article.documentType] || 'article';
+    const text = value => this.formatBibTeXText(value, options);
+    
+    const lines = [`@${entryType}{${citationKey},`];
+    
+    lines.push(`  title = {${this.formatBibTeXTitle(article.title, options)}},`);
+    
+    if (article.authors.length > 0) {
+      const authors = article.authors
+        .map(author => text(AuthorNameParser.toBibTeX(author)))
+        .join(' and ');
+      lines.push(`  author = {${authors}},`);
+    }
+    
+    if (article.journal) {
+      lines.push(`  journal = {${text(article.journal)}},`);
+    }
+    
+    const year = this.extractYear(article.year);
+    if (year !== 'unknown') {
+      lines.push(`  year = {${year}},`);
+    }
+
+    const [, month] = PublicationDate.toParts(article.date);
+    if (month) {
+      lines.push(`  month = ${BIBTEX_MONTHS[month - 1]},`);
+    }
+
+    if (article.volume) {
+      lines.push(`  volume = {${text(article.volume)}},`);
+    }
+
+    if (article.issue) {
+      lines.push(`  number = {${text(article.issue)}},`);
+    }
+
+    const pages = this.formatPages(article, '--');
+    if (pages) {
+      lines.push(`  pages = {${text(pages)}},`);
+    }
+
+    if (article.publisher) {
+      lines.push(`  publisher = {${text(article.publisher)}},`);
+    }
+
+    if (article.issn) {
+      lines.push(`  issn = {${text(article.issn)}},`);
+    }
+
+    if (article.language) {
+      const langid = BIBLATEX_LANGIDS[article.language];
+      lines.push(langid ? `  langid = {${langid}},` : `  language = {${text(article.language)}},`);
+    }
+
+    if (article.doi) {
+      lines.push(`  doi = {${article.doi}},`);
+    }
+
+    if (article.abstract) {
+      lines.push(`  abstract = {${text(article.abstract)}},`);
+    }
+    
+    const notes = this.buildNotesArray(article);
+    if (notes.length > 0) {
+      lines.push(`  note = {${text(notes.join('; '))}},`);
+    }
+    
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Escape BibTeX field text, optionally as ASCII-only LaTeX
+   * @param {string} str - Field text
+   * @param {ExportOptions} options - Export options
+   * @returns {string} Field value
+   */
+  static formatBibTeXText(str, options = {}) {
+    const escaped = this.escapeBibTeX(str);
+    return options.asciiSafe ? LatexEncoder.encode(escaped) : escaped;
+  }
+
+  /**
+   * Format a BibTeX title, protecting acronyms from case changes ({DNA})
+   * @param {string} title - Article title
+   * @param {ExportOptions} options - Export options
+   * @returns {string} Title field value
+   */
+  static formatBibTeXTitle(title, options = {}) {
+    return title
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => {
+        const formatted = this.formatBibTeXText(word, options);
+        return this.isAcronym(word) ? `{${formatted}}` : formatted;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Check whether a title word carries case that styles must not change
+   * @param {string} word - Title word
+   * @returns {boolean} True for acronyms and mixed-case words (DNA, COVID-19, mRNA)
+   */
+  static isAcronym(word) {
+    const letters = word.replace(/[^\p{L}]/gu, '');
+    return letters.length > 1 && /\p{Lu}/u.test(letters.slice(1));
+  }
+
+  /**
+   * Convert articles to CSL-JSON format
+   * @param {Article[]} articles - Articles to convert
+   * @returns {string} CSL-JSON formatted string
+   */
+  static toCSLJSON(articles) {
+    const items = articles
+      .filter(article => article.title)
+      .map(article => this.articleToCSL(article));
+    return JSON.stringify(items, null, 2) + '\n';
+  }
+
+  /**
+   * Convert single article to a CSL-JSON item
+   * @param {Article} article - Article to convert
+   * @returns {Object} CSL-JSON item
+   */
+  static articleToCSL(article) {
+    const item = {
+      id: article.id,
+      type: CSL_TYPE_MAP[article.documentType] || 'article-journal',
+      title: article.title
+    };
+
+    if (article.authors.length > 0) {
+      item.author = article.authors.map(author => this.authorToCSL(author));
+    }
+
+    if (article.journal) item['container-title'] = article.journal;
+
+    const year = this.extractYear(article.year);
+    if (article.date) {
+      item.issued = { 'date-parts': [PublicationDate.toParts(article.date)] };
+    } else if (year !== 'unknown') {
+      item.issued = { 'date-parts': [[parseInt(year, 10)]] };
+    }
+
+    if (article.volume) item.volume = article.volume;
+    if (article.issue) item.issue = article.issue;
+    if (article.publisher) item.publisher = article.publisher;
+    if (article.language) item.language = article.language;
+    if (article.sourceIndex) item.source = article.sourceIndex;
+
+    const pages = this.formatPages(article, '-');
+    if (pages) item.page = pages;
+
+    if (article.issn) item.ISSN = article.issn;
+    if (article.doi) item.DOI = article.doi;
+    if (article.detailUrl) item.URL = article.detailUrl;
+    if (article.abstract) item.abstract = article.abstract;
+
+    const notes = this.buildNotesArray(article);
+    if (notes.length > 0) item.note = notes.join('; ');
+
+    return item;
+  }
+
+  /**
+   * Split a CAPES author string into CSL name parts
+   * @param {string} author - Author name ("Family, Given" or "Given Family")
+   * @returns {Object} CSL name object
+   */
+  static authorToCSL(author) {
+    const { first, von, last, jr } = AuthorNameParser.parse(author);
+    if (!first && !von && !jr) return { literal: last };
+
+    const name = { family: last };
+    if (first) name.given = first;
+    if (von) name['non-dropping-particle'] = von;
+    if (jr) name.suffix = jr;
+    return name;
+  }
+
+  /**
+   * Convert articles to EndNote XML
+   * @param {Article[]} articles - Articles to convert
+   * @returns {string} EndNote XML document
+   */
+  static toEndNoteXML(articles) {
+    const records = articles.map(article => this.articleToEndNote(article));
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + `<xml><records>\n${records.join('\n')}\n</records></xml>\n`;
+  }
+
+  /**
+   * Convert single article to an EndNote XML record
+   * @param {Article} article - Article to convert
+   * @returns {string} <record> element
+   */
+  static articleToEndNote(article) {
+    const xml = value => XlsxWriter.escapeXML(String(value));
+    const refType = ENDNOTE_TYPE_MAP[article.documentType] || ENDNOTE_TYPE_MAP.Artigo;
+    const lines = [
+      '<record>',
+      `<ref-type name="${refType.name}">${refType.number}</ref-type>`
+    ];
+
+    if (article.authors.length > 0) {
+      const authors = article.authors.map(author => `<author>${xml(author)}</author>`).join('');
+      lines.push(`<contributors><authors>${authors}</authors></contributors>`);
+    }
+
+    const titles = [];
+    if (article.title) titles.push(`<title>${xml(article.title)}</title>`);
+    if (article.journal) titles.push(`<secondary-title>${xml(article.journal)}</secondary-title>`);
+    if (titles.length > 0) lines.push(`<titles>${titles.join('')}</titles>`);
+
+    if (article.journal && refType.number === ENDNOTE_TYPE_MAP.Artigo.number) {
+      lines.push(`<periodical><full-title>${xml(article.journal)}</full-title></periodical>`);
+    }
+
+    const pages = this.formatPages(article, '-');
+    if (pages) lines.push(`<pages>${xml(pages)}</pages>`);
+    if (article.volume) lines.push(`<volume>${xml(article.volume)}</volume>`);
+    if (article.issue) lines.push(`<number>${xml(article.issue)}</number>`);
+
+    const year = this.extractYear(article.year);
+    if (year !== 'unknown') {
+      const pubDate = article.date ? `<pub-dates><date>${xml(article.date)}</date></pub-dates>` : '';
+      lines.push(`<dates><year>${year}</year>${pubDate}</dates>`);
+    }
+
+    if (article.publisher) lines.push(`<publisher>${xml(article.publisher)}</publisher>`);
+    if (article.issn) lines.push(`<isbn>${xml(article.issn)}</isbn>`);
+    if (article.id) lines.push(`<accession-num>${xml(article.id)}</accession-num>`);
+    if (article.doi) lines.push(`<electronic-resource-num>${xml(article.doi)}</electronic-resource-num>`);
+    if (article.sourceIndex) lines.push(`<remote-database-name>${xml(article.sourceIndex)}</remote-database-name>`);
+    if (article.language) lines.push(`<language>${xml(article.language)}</language>`);
+    if (article.abstract) lines.push(`<abstract>${xml(article.abstract.replace(/\s+/g, ' '))}</abstract>`);
+
+    const notes = this.buildNotesArray(article);
+    if (notes.length > 0) lines.push(`<notes>${xml(notes.join('; '))}</notes>`);
+
+    if (article.detailUrl) {
+      lines.push(`<urls><related-urls><url>${xml(article.detailUrl)}</url></related-urls></urls>`);
+    }
+
+    lines.push('</record>');
+    return lines.join('');
+  }
+
+  /**
+   * Convert articles to RefWorks tagged format
+   * @param {Article[]} articles - Articles to convert
+   * @returns {string} RefWorks tagged string
+   */
+  static toRefWorks(articles) {
+    const records = articles.map(article => this.articleToRefWorks(article));
+    return records.join('\r\n\r\n') + '\r\n';
+  }
+
+  /**
+   * Convert single article to a RefWorks tagged record
+   * Chapters carry the book title in T2; everything else uses JF for the journal
+   * @param {Article} article - Article to convert
+   * @returns {string} RefWorks record string
+   */
+  static articleToRefWorks(article) {
+    const refType = REFWORKS_TYPE_MAP[article.documentType] || 'Journal Article';
+    const lines = [`RT ${refType}`, 'SR Electronic(1)'];
+
+    article.authors.forEach(author => {
+      lines.push(`A1 ${author}`);
+    });
+
+    if (article.title) lines.push(`T1 ${article.title}`);
+    if (article.journal) {
+      lines.push(`${refType === REFWORKS_TYPE_MAP['Capítulo de livro'] ? 'T2' : 'JF'} ${article.journal}`);
+    }
+
+    const year = this.extractYear(article.year);
+    if (year !== 'unknown') lines.push(`YR ${year}`);
+    if (article.date) lines.push(`FD ${article.date}`);
+
+    if (article.volume) lines.push(`VO ${article.volume}`);
+    if (article.issue) lines.push(`IS ${article.issue}`);
+    if (article.startPage) lines.push(`SP ${article.startPage}`);
+    if (article.endPage) lines.push(`OP ${article.endPage}`);
+    if (article.publisher) lines.push(`PB ${article.publisher}`);
+    if (article.issn) lines.push(`SN ${article.issn}`);
+    if (article.language) lines.push(`LA ${article.language}`);
+    if (article.doi) lines.push(`DO ${article.doi}`);
+    if (article.abstract) lines.push(`AB ${article.abstract.replace(/\s+/g, ' ')}`);
+
+    const notes = this.buildNotesArray(article);
+    if (notes.length > 0) lines.push(`NO ${notes.join('; ')}`);
+
+    if (article.detailUrl) lines.push(`UL ${article.detailUrl}`);
+    if (article.sourceIndex) lines.push(`DB ${article.sourceIndex}`);
+    lines.push('DS CAPES Periódicos');
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Convert articles to CSV (RFC 4180, UTF-8 with BOM for Excel)
+   * @param {Article[]} articles - Articles to convert
+   * @returns {string} CSV formatted string
+   */
+  static toCSV(articles) {
+    const rows = this.buildTableRows(articles);
+    const lines = rows.map(row => row.map(cell => this.escapeCSV(cell)).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Convert articles to an XLSX workbook
+   * @param {Article[]} articles - Articles to convert
+   * @returns {Uint8Array} XLSX file bytes
+   */
+  static toXLSX(articles) {
+    return XlsxWriter.build(this.buildTableRows(articles), 'Articles');
+  }
+
+  /**
+   * Build table rows (header first) for tabular formats
+   * @param {Article[]} articles - Articles to convert
+   * @returns {Array<Array<string|number|boolean>>} Table rows
+   */
+  static buildTableRows(articles) {
+    const rows = articles.map(article => [
+      article.id,
+      article.title,
+      article.authors.join('; '),
+      article.journal,
+      article.year,
+      article.date || '',
+      article.volume || '',
+      article.issue || '',
+      this.formatPages(article, '-'),
+      article.publisher || '',
+      article.language || '',
+      article.sourceIndex || '',
+      article.documentType,
+      article.isOpenAccess,
+      article.isPeerReviewed,
+      article.sourceUrl || '',
+      article.sourcePage || '',
+      Boolean(article.inLibrary),
+      (article.foundBy || []).join('; ')
+    ]);
+    return [TABLE_COLUMNS, ...rows];
+  }
+
+  /**
+   * Escape a single CSV field per RFC 4180
+   * @param {string|number|boolean} value - Cell value
+   * @returns {string} Escaped field
+   */
+  static escapeCSV(value) {
+    const str = typeof value === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value ?? '');
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * Extract year from year string
+   * @param {string} yearStr - Year string
+   * @returns {string} Extracted year or 'unknown'
+   */
+  static extractYear(yearStr) {
+    if (!yearStr) return 'unknown';
+    const match = yearStr.match(/(\d{4})/);
+    return match ? match[1] : 'unknown';
+  }
+
+  /**
+   * Escape special characters for BibTeX
+   * @param {string} str - String to escape
+   * @returns {string} Escaped string
+   */
+  static escapeBibTeX(str) {
+    return str
+      .replace(/\\/g, '\\\\')
+      .replace(/\{/g, '\\{')
+      .replace(/\}/g, '\\}')
+      .replace(/\$/g, '\\$')
+      .replace(/&/g, '\\&')
+      .replace(/%/g, '\\%')
+      .replace(/#/g, '\\#');
+  }
+
+  /**
+   * Format page range for output
+   * @param {Article} article - Article data
+   * @param {string} separator - Range separator
+   * @returns {string} Page range or empty string
+   */
+  static formatPages(article, separator) {
+    if (!article.startPage) return '';
+    return article.endPage
+      ? `${article.startPage}${separator}${article.endPage}`
+      : article.startPage;
+  }
+
+  /**
+   * Build notes array for article
+   * @param {Article} article - Article data
+   * @returns {string[]} Array of notes
+   */
+  static buildNotesArray(article) {
+    const notes = [];
+    if (article.isOpenAccess) notes.push('Open Access');
+    if (article.isPeerReviewed) notes.push('Peer Reviewed');
+    if (article.id) notes.push(`CAPES ID: ${article.id}`);
+    if (article.sourceIndex) notes.push(`Indexed in: ${article.sourceIndex}`);
+    if (article.inLibrary) notes.push('Already in library');
+    if (article.foundBy && article.foundBy.length > 0) {
+      notes.push(`Found by: ${article.foundBy.join(' | ')}`);
+    }
+    return notes;
+  }
+}
+
+// === SPREADSHEET WRITER ===
+
+class ZipWriter {
+  /**
+   * Build an uncompressed (STORE) ZIP archive
+   * @param {Array<{name: string, data: string}>} files - Files to include
+   * @returns {Uint8Array} ZIP archive bytes
+   */
+  static build(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.data);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+  }
+
+  /**
+   * Compute CRC-32 checksum
+   * @param {Uint8Array} data - Input bytes
+   * @returns {number} Unsigned CRC-32
+   */
+  static crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+      });
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of data) {
+      crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Concatenate byte arrays
+   * @param {Uint8Array[]} parts - Byte arrays
+   * @returns {Uint8Array} Combined bytes
+   */
+  static concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+}
+
+class XlsxWriter {
+  /**
+   * Build a single-sheet XLSX workbook
+   * @param {Array<Array<string|number|boolean>>} rows - Table rows (header first)
+   * @param {string} sheetName - Worksheet name
+   * @returns {Uint8Array} XLSX file bytes
+   */
+  static build(rows, sheetName) {
+    return ZipWriter.build([
+      { name: '[Content_Types].xml', data: this.contentTypes() },
+      { name: '_rels/.rels', data: this.rootRels() },
+      { name: 'xl/workbook.xml', data: this.workbook(sheetName) },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.workbookRels() },
+      { name: 'xl/worksheets/sheet1.xml', data: this.worksheet(rows) }
+    ]);
+  }
+
+  /**
+   * Build [Content_Types].xml part
+   * @returns {string} XML content
+   */
+  static contentTypes() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>';
+  }
+
+  /**
+   * Build package relationships part
+   * @returns {string} XML content
+   */
+  static rootRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>';
+  }
+
+  /**
+   * Build workbook part
+   * @param {string} sheetName - Worksheet name
+   * @returns {string} XML content
+   */
+  static workbook(sheetName) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${this.escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>';
+  }
+
+  /**
+   * Build workbook relationships part
+   * @returns {string} XML content
+   */
+  static workbookRels() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>';
+  }
+
+  /**
+   * Build worksheet XML with inline strings
+   * @param {Array<Array<string|number|boolean>>} rows - Table rows
+   * @returns {string} Worksheet XML
+   */
+  static worksheet(rows) {
+    const rowsXML = rows.map((row, rowIndex) => {
+      const cells = row.map((value, colIndex) => {
+        const ref = `${this.columnName(colIndex)}${rowIndex + 1}`;
+        if (typeof value === 'boolean') {
+          return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        if (typeof value === 'number') {
+          return `<c r="${ref}"><v>${value}</v></c>`;
+        }
+        const text = this.escapeXML(String(value ?? ''));
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+      });
+      return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `<sheetData>${rowsXML.join('')}</sheetData>` +
+      '</worksheet>';
+  }
+
+  /**
+   * Convert zero-based column index to spreadsheet letters (0 -> A)
+   * @param {number} index - Column index
+   * @returns {string} Column name
+   */
+  static columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  /**
+   * Escape text for XML, dropping characters XML 1.0 forbids
+   * @param {string} str - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escapeXML(str) {
+    return str
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// === LIBRARY IMPORT ===
+
+class RISParser {
+  /**
+   * Parse RIS records
+   * @param {string} text - RIS file content
+   * @returns {Article[]} Parsed records
+   */
+  static parse(text) {
+    const records = [];
+    let record = null;
+    let lastField = null;
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+      const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+
+      if (!match) {
+        // Continuation of a wrapped value (long abstracts)
+        if (record && lastField && line.trim()) {
+          record[lastField] += ` ${line.trim()}`;
+        }
+        return;
+      }
+
+      const [, tag, value] = match;
+      if (tag === 'TY') {
+        record = this.createRecord();
+        lastField = null;
+      } else if (tag === 'ER') {
+        if (record) records.push(record);
+        record = null;
+      } else if (record) {
+        lastField = this.addField(record, tag, value.trim());
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Create an empty imported record
+   * @returns {Article} Record
+   */
+  static createRecord() {
+    return { id: '', title: '', authors: [], journal: '', year: '', doi: '' };
+  }
+
+  /**
+   * Store a RIS tag on a record
+   * @param {Article} record - Record being built
+   * @param {string} tag - RIS tag
+   * @param {string} value - Tag value
+   * @returns {?string} Field name written (for continuation lines)
+   */
+  static addField(record, tag, value) {
+    if (tag === 'AU' || tag === 'A1') {
+      record.authors.push(value);
+      return null;
+    }
+
+    const field = RIS_IMPORT_FIELDS[tag];
+    if (!field || record[field]) return null;
+
+    record[field] = field === 'year' ? FormatConverter.extractYear(value) : value;
+    return field;
+  }
+}
+
+class BibTeXParser {
+  /**
+   * Parse BibTeX entries (@comment, @preamble and @string are skipped)
+   * @param {string} text - BibTeX file content
+   * @returns {Article[]} Parsed records
+   */
+  static parse(text) {
+    const records = [];
+    const entryStart = /@(\w+)\s*[{(]/g;
+    let match;
+
+    while ((match = entryStart.exec(text)) !== null) {
+      const type = match[1].toLowerCase();
+      const bodyStart = entryStart.lastIndex;
+      const bodyEnd = this.findClosing(text, bodyStart - 1);
+      entryStart.lastIndex = bodyEnd;
+
+      if (['comment', 'preamble', 'string'].includes(type)) continue;
+
+      const fields = this.parseFields(text.slice(bodyStart, bodyEnd - 1));
+      records.push(this.toRecord(fields));
+    }
+
+    return records;
+  }
+
+  /**
+   * Find the end of a braced or parenthesized block
+   * @param {string} text - Text
+   * @param {number} open - Index of the opening { or (
+   * @returns {number} Index just past the matching closer (or text end)
+   */
+  static findClosing(text, open) {
+    const closer = text[open] === '(' ? ')' : '}';
+    let depth = 0;
+
+    for (let i = open; i < text.length; i++) {
+      const char = text[i];
+      if (char === '{' || (closer === ')' && char === '(')) depth++;
+      if (char === '}' || (closer === ')' && char === ')')) depth--;
+      if (depth === 0) return i + 1;
+    }
+    return text.length;
+  }
+
+  /**
+   * Parse "key, name = value, ..." into a field map
+   * @param {string} body - Entry body without the outer delimiters
+   * @returns {Object<string, string>} Field values by lowercase name
+   */
+  static parseFields(body) {
+    const fields = {};
+    const fieldStart = /,\s*([\w-]+)\s*=\s*/g;
+    let match;
+
+    while ((match = fieldStart.exec(body)) !== null) {
+      const [value, end] = this.readValue(body, fieldStart.lastIndex);
+      fields[match[1].toLowerCase()] = this.decodeLatex(value);
+      fieldStart.lastIndex = end;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Read a field value: {braced}, "quoted" or bare, joined with #
+   * @param {string} body - Entry body
+   * @param {number} start - Value start index
+   * @returns {[string, number]} Value and the index after it
+   */
+  static readValue(body, start) {
+    const parts = [];
+    let i = start;
+
+    while (i < body.length) {
+      while (/\s/.test(body[i])) i++;
+
+      if (body[i] === '{') {
+        const end = this.findClosing(body, i);
+        parts.push(body.slice(i + 1, end - 1));
+        i = end;
+      } else if (body[i] === '"') {
+        let end = i + 1;
+        let depth = 0;
+        while (end < body.length && (body[end] !== '"' || depth > 0)) {
+          if (body[end] === '{') depth++;
+          if (body[end] === '}') depth--;
+          end++;
+        }
+        parts.push(body.slice(i + 1, end));
+        i = end + 1;
+      } else {
+        const bare = body.slice(i).match(/^[^,#\s}]+/);
+        parts.push(bare ? bare[0] : '');
+        i += bare ? bare[0].length : 0;
+      }
+
+      while (/\s/.test(body[i])) i++;
+      if (body[i] !== '#') break;
+      i++;
+    }
+
+    return [parts.join(''), i];
+  }
+
+  /**
+   * Turn LaTeX accents and symbols back into Unicode and drop braces
+   * @param {string} value - BibTeX value
+   * @returns {string} Plain text
+   */
+  static decodeLatex(value) {
+    const accents = {};
+    Object.entries(LATEX_ACCENTS).forEach(([mark, command]) => {
+      accents[command.trim().slice(1)] = mark;
+    });
+
+    const symbols = {};
+    Object.entries(LATEX_SYMBOLS).forEach(([char, latex]) => {
+      const command = latex.match(/^\{\\(\w+)\}$/);
+      if (command) symbols[command[1]] = char;
+    });
+
+    return value
+      .replace(/\\([`'^~=."])\s*\{?\s*(\\i|[A-Za-z])\s*\}?/g,
+        (_, command, letter) => (letter === '\\i' ? 'i' : letter) + accents[command])
+      .replace(/\\([uHvrck])(?:\s+|\{\s*)(\\i|[A-Za-z])\}?/g,
+        (_, command, letter) => (letter === '\\i' ? 'i' : letter) + accents[command])
+      .replace(/\\([a-zA-Z]+)(?![a-zA-Z])\s?/g, (whole, command) => symbols[command] || whole)
+      .replace(/\\([&%$#_])/g, '$1')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .normalize('NFC');
+  }
+
+  /**
+   * Map BibTeX fields onto an imported record
+   * @param {Object<string, string>} fields - Field values
+   * @returns {Article} Record
+   */
+  static toRecord(fields) {
+    const record = RISParser.createRecord();
+
+    Object.entries(BIBTEX_IMPORT_FIELDS).forEach(([name, field]) => {
+      if (fields[name] && !record[field]) {
+        record[field] = field === 'year' ? FormatConverter.extractYear(fields[name]) : fields[name];
+      }
+    });
+
+    if (fields.author) {
+      record.authors = fields.author.split(/\s+and\s+/i).map(name => name.trim()).filter(Boolean);
+    }
+    return record;
+  }
+}
+
+class LibraryIndex {
+  /**
+   * Parse a reference library file, detecting RIS or BibTeX
+   * @param {string} text - File content
+   * @param {string} [filename] - File name (extension used as a hint)
+   * @returns {Article[]} Parsed records
+   * @throws {Error} When the format isn't recognized
+   */
+  static parseFile(text, filename = '') {
+    const isBib = /\.bib$/i.test(filename) || (!/\.ris$/i.test(filename) && /^\s*@\w+\s*[{(]/m.test(text));
+    if (isBib) return BibTeXParser.parse(text);
+    if (/^TY  -/m.test(text)) return RISParser.parse(text);
+    throw new Error('Unrecognized file: expected a .ris or .bib library');
+  }
+
+  /**
+   * Build the match keys for a set of records
+   * @param {Article[]} records - Library records
+   * @returns {{dois: string[], titleKeys: string[]}} Match keys
+   */
+  static buildKeys(records) {
+    const dois = new Set();
+    const titleKeys = new Set();
+
+    records.forEach(record => {
+      const doi = this.doiKey(record.doi);
+      if (doi) dois.add(doi);
+
+      const titleKey = this.titleKey(record);
+      if (titleKey) titleKeys.add(titleKey);
+    });
+
+    return { dois: Array.from(dois), titleKeys: Array.from(titleKeys) };
+  }
+
+  /**
+   * Build a lookup from stored match keys
+   * @param {{dois: string[], titleKeys: string[]}} keys - Stored keys
+   * @returns {{dois: Set<string>, titleKeys: Set<string>}} Lookup
+   */
+  static toLookup(keys) {
+    return { dois: new Set(keys.dois), titleKeys: new Set(keys.titleKeys) };
+  }
+
+  /**
+   * Check whether the library already has an article (DOI, or title + year)
+   * @param {{dois: Set<string>, titleKeys: Set<string>}} lookup - Library lookup
+   * @param {Article} article - Article
+   * @returns {boolean} True if owned
+   */
+  static contains(lookup, article) {
+    const doi = this.doiKey(article.doi);
+    if (doi && lookup.dois.has(doi)) return true;
+
+    const titleKey = this.titleKey(article);
+    return Boolean(titleKey) && lookup.titleKeys.has(titleKey);
+  }
+
+  /**
+   * Normalize a DOI for matching
+   * @param {string} doi - DOI or DOI URL
+   * @returns {string} Lowercase bare DOI or empty string
+   */
+  static doiKey(doi) {
+    return (doi || '').trim().toLowerCase().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '');
+  }
+
+  /**
+   * Normalized title + year key (records without a year don't match on title)
+   * @param {Article} article - Article or record
+   * @returns {string} Key or empty string
+   */
+  static titleKey(article) {
+    const year = FormatConverter.extractYear(article.year);
+    return year === 'unknown' ? '' : Deduplicator.titleKey(article);
+  }
+}
+
+// === EXPORT FILES ===
+
+class ExportFile {
+  /**
+   * Generate file content for an export format
+   * @param {Article[]} articles - Articles to export
+   * @param {string} format - Export format
+   * @param {ExportOptions} options - Export options
+   * @param {?SearchState} [searchState] - Search state for the BibTeX header
+   * @returns {string|Uint8Array} Formatted content
+   */
+  static generateContent(articles, format, options = {}, searchState = null) {
+    switch (format) {
+      case 'ris':
+        return FormatConverter.toRIS(articles);
+      case 'csljson':
+        return FormatConverter.toCSLJSON(articles);
+      case 'endnote':
+        return FormatConverter.toEndNoteXML(articles);
+      case 'refworks':
+        return FormatConverter.toRefWorks(articles);
+      case 'csv':
+        return FormatConverter.toCSV(articles);
+      case 'xlsx':
+        return FormatConverter.toXLSX(articles);
+      default: {
+        const header = searchState ? this.bibTeXHeader(searchState, articles.length) : '';
+        return header + FormatConverter.toBibTeX(articles, options);
+      }
+    }
+  }
+
+  /**
+   * Build the search state recorded with an export
+   * @param {string} searchUrl - Search URL
+   * @param {Object} [details] - State read from the results page
+   * @param {Object<string, string[]>} [details.facets] - Sidebar filters by group
+   * @param {number} [details.totalResults] - Result count reported by CAPES
+   * @returns {SearchState} Search state
+   */
+  static getSearchState(searchUrl, { facets = {}, totalResults = 0 } = {}) {
+    return {
+      query: this.getQuery(searchUrl),
+      searchUrl,
+      filters: this.getFilters(searchUrl),
+      facets,
+      totalResults,
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Describe the search as a BibTeX @comment block
+   * Braces are dropped from values so the comment stays balanced
+   * @param {SearchState} searchState - Search state
+   * @param {number} recordCount - Exported records
+   * @returns {string} @comment block followed by a blank line
+   */
+  static bibTeXHeader(searchState, recordCount) {
+    const clean = value => String(value).replace(/[{}]/g, '');
+    const lines = [
+      'CAPES Research Exporter',
+      `Exported: ${new Date().toISOString()}`,
+      `Query: ${clean(searchState.query)}`,
+      `URL: ${clean(searchState.searchUrl)}`
+    ];
+
+    Object.entries(searchState.filters || {}).forEach(([key, value]) => {
+      lines.push(`Filter ${clean(key)}: ${clean(value)}`);
+    });
+    Object.entries(searchState.facets || {}).forEach(([group, values]) => {
+      lines.push(`Facet ${clean(group)}: ${values.map(clean).join('; ')}`);
+    });
+    if (searchState.totalResults) {
+      lines.push(`Results reported by CAPES: ${searchState.totalResults}`);
+    }
+    lines.push(`Records exported: ${recordCount}`);
+
+    return `@comment{${lines.join('\n  ')}\n}\n\n`;
+  }
+
+  /**
+   * Build the sidecar JSON manifest documenting how an export was produced
+   * @param {Object} details - Export details
+   * @param {string} details.filename - Exported data file
+   * @param {string} details.format - Export format
+   * @param {number} details.recordCount - Exported records
+   * @param {boolean} details.partial - True when the export was cut short
+   * @param {ExportOptions} details.options - Export options
+   * @param {?SearchState} details.searchState - Search state (null for collections)
+   * @param {{name: string, searches: SearchState[]}} [details.collection] - Collection the records came from
+   * @returns {string} Pretty-printed JSON
+   */
+  static buildManifest({ filename, format, recordCount, partial, options, searchState, collection }) {
+    const manifest = {
+      generator: 'CAPES Research Exporter',
+      exportedAt: new Date().toISOString(),
+      file: filename,
+      format,
+      recordCount,
+      partial,
+      search: searchState,
+      options
+    };
+    if (collection) {
+      manifest.collection = { name: collection.name, searches: collection.searches };
+    }
+    return JSON.stringify(manifest, null, 2) + '\n';
+  }
+
+  /**
+   * Name the manifest after its data file
+   * @param {string} filename - Exported data file
+   * @returns {string} Manifest filename
+   */
+  static manifestFilename(filename) {
+    return filename.replace(/\.[^.]+$/, '.manifest.json');
+  }
+
+  /**
+   * Name the extraction report after its data file
+   * @param {string} filename - Exported data file
+   * @returns {string} Report filename
+   */
+  static reportFilename(filename) {
+    return filename.replace(/\.[^.]+$/, '.report.json');
+  }
+
+  /**
+   * Generate filename for export
+   * @param {string} format - Export format
+   * @param {Object} [flags] - Filename flags
+   * @param {string} [flags.searchUrl] - Search URL the export came from
+   * @param {boolean} [flags.partial] - Label the file as a partial export
+   * @param {boolean} [flags.onlyNew] - Label the file as a new-results delta
+   * @param {string} [flags.label] - Name to use instead of the query (collections)
+   * @returns {string} Generated filename
+   */
+  static generateFilename(format, { searchUrl = '', partial = false, onlyNew = false, label = '' } = {}) {
+    const searchTerm = label || this.getQuery(searchUrl) || 'capes-export';
+    const cleanTerm = searchTerm
+      .replace(/[^a-zA-Z0-9]/g, '_')
+      .slice(0, 20);
+    const timestamp = getTimestamp();
+    const ext = this.getFileType(format).extension;
+    const suffix = `${onlyNew ? '_new' : ''}${partial ? '_partial' : ''}`;
+    
+    return `capes_${cleanTerm}_${timestamp}${suffix}.${ext}`;
+  }
+
+  /**
+   * Read the search query from a CAPES search URL
+   * @param {string} searchUrl - Search URL
+   * @returns {string} Query or empty string
+   */
+  static getQuery(searchUrl) {
+    try {
+      return new URL(searchUrl).searchParams.get('q') || '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Read the search filters (every parameter except the query and page)
+   * @param {string} searchUrl - Search URL
+   * @returns {Object<string, string>} Filter values by parameter name
+   */
+  static getFilters(searchUrl) {
+    const filters = {};
+    try {
+      const params = new URL(searchUrl).searchParams;
+      params.forEach((value, key) => {
+        if (key === 'q' || key === 'page' || !value) return;
+        filters[key] = filters[key] ? `${filters[key]}, ${value}` : value;
+      });
+    } catch {
+      // Not a URL: no filters
+    }
+    return filters;
+  }
+
+  /**
+   * Get output file type for an export format
+   * @param {string} format - Export format
+   * @returns {{extension: string, mimeType: string}} File type descriptor
+   */
+  static getFileType(format) {
+    return FORMAT_FILE_TYPES[format] || FORMAT_FILE_TYPES.bibtex;
+  }
+}
+
+// === MODULE EXPORTS ===
+
+// Browsers load this file as a classic script (manifest and importScripts);
+// Node (the test suite) requires it as a module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RIS_TYPE_MAP,
+    BIBTEX_TYPE_MAP,
+    CSL_TYPE_MAP,
+    ENDNOTE_TYPE_MAP,
+    REFWORKS_TYPE_MAP,
+    FORMAT_FILE_TYPES,
+    TABLE_COLUMNS,
+    REPORT_FIELDS,
+    MAX_REPORTED_REJECTIONS,
+    DEFAULT_CITEKEY_PATTERN,
+    sleep,
+    getTimestamp,
+    toPositiveInt,
+    normalizeSearchUrl,
+    buildPageUrl,
+    runWithConcurrency,
+    PublicationDate,
+    Deduplicator,
+    ExtractionReport,
+    RecordFilter,
+    AuthorNameParser,
+    CitationKeyGenerator,
+    LatexEncoder,
+    FormatConverter,
+    ZipWriter,
+    XlsxWriter,
+    RISParser,
+    BibTeXParser,
+    LibraryIndex,
+    ExportFile
+  };
+}
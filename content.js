@@ -6,79 +6,163 @@
 
 'use strict';
 
+// Node (the test suite): the manifest loads common.js before this file in the browser
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./common.js'));
+}
+
 // === CONSTANTS ===
 
-/** @const {string} Storage key for export state persistence */
-const STORAGE_KEY = 'capes_export_state';
-
-/** @const {number} Navigation delay in milliseconds */
-const NAV_DELAY = 1200;
-
-/** @const {number} Processing timeout in milliseconds */
-const PROCESSING_TIMEOUT = 30000;
-
-/** @const {Object<string, string>} DOM selectors for article extraction */
-const SELECTORS = {
-  article: 'div[id^="result-busca-"]:not([id$="-load"])',
-  title: '.titulo-busca',
-  authors: '.view-autor',
-  metadata: 'p.text-down-01',
-  nextButton: '.pagination-arrows button[aria-label*="seguinte"]:not([disabled])',
-  pageInfo: '.pagination-information',
-  openAccess: '[title="Acesso aberto"], [id*="open-acess-item"]',
-  peerReviewed: '[title="Revisado por pares"], [id*="peer-reviewed-item"]',
-  documentType: '.fw-semibold'
+/** @const {string} Storage key for selected articles, by search URL */
+const SELECTION_KEY = 'capes_export_selection';
+
+/** @const {string} Storage key for persisted popup settings (shared with popup) */
+const SETTINGS_KEY = 'capes_settings';
+
+/** @const {string} Storage key for the imported reference library (shared with service worker) */
+const LIBRARY_KEY = 'capes_library';
+
+/** @const {number} Overlay statistics refresh interval in milliseconds */
+const STATS_REFRESH_INTERVAL = 1000;
+
+/** @const {number} Maximum wait for result cards to render in milliseconds */
+const RESULTS_WAIT_TIMEOUT = 10000;
+
+/** @const {number} Poll interval while waiting for result cards in milliseconds */
+const RESULTS_POLL_INTERVAL = 250;
+
+/** @const {number} Maximum concurrent detail page requests */
+const ENRICH_CONCURRENCY = 4;
+
+/** @const {number} Retry attempts per detail page */
+const ENRICH_RETRIES = 2;
+
+/** @const {number} Base delay between detail page retries in milliseconds */
+const ENRICH_RETRY_DELAY = 1000;
+
+/** @const {Object<string, string>} Report fields shown in the end-of-export summary */
+const REPORT_SUMMARY_FIELDS = { year: 'Year', journal: 'Journal', authors: 'Authors', doi: 'DOI' };
+
+/** @const {RegExp} DOI pattern (Crossref recommended form) */
+const DOI_PATTERN = /10\.\d{4,9}\/[^\s"'<>]+/i;
+
+/** @const {string} Storage key for the user's selector profile override (shared with popup) */
+const SELECTOR_PROFILE_KEY = 'capes_selector_profile';
+
+/**
+ * @typedef {Object} SelectorProfileDef
+ * @property {string} id - Profile identifier
+ * @property {number} version - Profile version; overrides older than the built-in profile are ignored
+ * @property {Object<string, string[]>} selectors - Fallback chain per field, tried in order
+ * @property {string[]} metadata - Patterns for the "year - ... | journal" line, tried in order
+ *   (named groups "year" and "journal")
+ */
+
+/** @const {SelectorProfileDef} Built-in selector profile for the current CAPES layout */
+const DEFAULT_SELECTOR_PROFILE = {
+  id: 'capes-periodicos',
+  version: 1,
+  selectors: {
+    article: [
+      'div[id^="result-busca-"]:not([id$="-load"])',
+      '[id^="result-busca-"]:not([id$="-load"])'
+    ],
+    content: ['div[id^="conteudo-"]', '[id^="conteudo-"]'],
+    title: ['.titulo-busca', 'a[href*="task=detalhes"]', 'h2, h3'],
+    authors: ['.view-autor', '[class*="autor"] a'],
+    metadata: ['p.text-down-01', 'p[class*="text-down"]'],
+    nextButton: [
+      '.pagination-arrows button[aria-label*="seguinte"]:not([disabled])',
+      'button[aria-label*="seguinte"]:not([disabled]), a[aria-label*="seguinte"]',
+      'a[rel="next"]'
+    ],
+    pageInfo: ['.pagination-information', '[class*="pagination-info"]'],
+    openAccess: ['[title="Acesso aberto"], [id*="open-acess-item"]', '[id*="open-access"]'],
+    peerReviewed: ['[title="Revisado por pares"], [id*="peer-reviewed-item"]', '[title*="por pares"]'],
+    documentType: ['.fw-semibold'],
+    detailLink: ['a.titulo-busca, .titulo-busca a, a[href*="task=detalhes"]', 'a[href*="detalhes"]'],
+    filterGroup: ['#filtros .accordion-item, .filtros-busca .accordion-item, [id^="filtro-"]'],
+    filterGroupTitle: ['.accordion-button, .accordion-header, legend, h3, h4'],
+    activeFilter: ['input[type="checkbox"]:checked, input[type="radio"]:checked']
+  },
+  metadata: [
+    '^\\s*(?<year>.+?) - [^|]*?\\|\\s*(?<journal>[^|]+?)\\s*(?:\\||$)',
+    '\\b(?<year>(?:18|19|20)\\d{2})\\b'
+  ]
 };
 
-/** @const {Object<string, string>} Document type mappings for RIS format */
-const RIS_TYPE_MAP = {
-  'Artigo': 'JOUR',
-  'Capítulo de livro': 'CHAP',
-  'Carta': 'NEWS',
-  'Errata': 'JOUR',
-  'Revisão': 'JOUR'
+/** @const {string[]} Fields each result card is expected to yield */
+const SELF_CHECK_FIELDS = ['title', 'authors', 'year', 'journal'];
+
+/** @const {number} Share of result cards a required field must be found on */
+const SELF_CHECK_MIN_RATE = 0.5;
+
+/** @const {RegExp} Text shown when a search has no (more) results */
+const NO_RESULTS_PATTERN = /nenhum (resultado|registro) (foi )?encontrad|no results found/i;
+
+/** @const {RegExp} Text shown when CAPES throttles requests */
+const RATE_LIMIT_PATTERN = /too many requests|muitas (requisições|solicitações)|limite de (requisições|acesso)/i;
+
+/** @const {Object<string, string[]>} Field labels used on CAPES detail pages */
+const DETAIL_LABELS = {
+  doi: ['DOI'],
+  abstract: ['Resumo', 'Abstract'],
+  volume: ['Volume'],
+  issue: ['Fascículo', 'Número', 'Issue'],
+  pages: ['Páginas', 'Pages'],
+  issn: ['ISSN', 'eISSN']
 };
 
-/** @const {Object<string, string>} Document type mappings for BibTeX format */
-const BIBTEX_TYPE_MAP = {
-  'Artigo': 'article',
-  'Capítulo de livro': 'inbook',
-  'Carta': 'article',
-  'Errata': 'article',
-  'Revisão': 'article'
+/** @const {Object<string, string>} Labels that may prefix a card metadata segment */
+const CARD_METADATA_LABELS = {
+  editora: 'publisher',
+  publisher: 'publisher',
+  idioma: 'language',
+  language: 'language',
+  fonte: 'sourceIndex',
+  base: 'sourceIndex',
+  source: 'sourceIndex'
 };
 
-// === TYPE DEFINITIONS ===
+/** @const {Object<string, string>} Language names printed on result cards to ISO 639-1 codes */
+const CARD_LANGUAGES = {
+  'português': 'pt',
+  'portuguese': 'pt',
+  'inglês': 'en',
+  'english': 'en',
+  'espanhol': 'es',
+  'español': 'es',
+  'spanish': 'es',
+  'francês': 'fr',
+  'français': 'fr',
+  'french': 'fr',
+  'alemão': 'de',
+  'deutsch': 'de',
+  'german': 'de',
+  'italiano': 'it',
+  'italian': 'it'
+};
 
-/**
- * @typedef {Object} Article
- * @property {string} id - Unique article identifier
- * @property {string} title - Article title
- * @property {string[]} authors - List of authors
- * @property {string} journal - Journal name
- * @property {string} year - Publication year
- * @property {string} documentType - Type of document
- * @property {boolean} isOpenAccess - Open access indicator
- * @property {boolean} isPeerReviewed - Peer review indicator
- */
+/** @const {string[]} Indexing databases CAPES names as a record's source */
+const SOURCE_INDEXES = [
+  'Scopus', 'Web of Science', 'SciELO', 'DOAJ', 'PubMed', 'MEDLINE',
+  'Crossref', 'OpenAlex', 'LILACS', 'Redalyc', 'ERIC', 'Dimensions'
+];
 
-/**
- * @typedef {Object} ExportState
- * @property {string} format - Export format (ris|bibtex)
- * @property {Article[]} articles - Collected articles
- * @property {Set<number>} processedPages - Set of processed page numbers
- * @property {number} totalArticles - Total articles count estimate
- * @property {Date} startTime - Export start timestamp
- */
+/** @const {RegExp} Words that mark an unlabeled card segment as a publisher */
+const PUBLISHER_PATTERN = /\b(editora|press|publish(?:ing|ers?)|verlag|elsevier|springer|wiley|taylor & francis|sage|mdpi|frontiers|universidade|university|sociedade|society|associação|association|instituto|institute)\b/i;
 
-// === UTILITIES ===
+/** @const {Object<string, RegExp>} Volume, issue and page markers in card metadata */
+const CITATION_PATTERNS = {
+  volume: /\b(?:v|vol)\.\s*([^\s,]+)/i,
+  issue: /(?:\bn\.|\bn[º°]|\bno\.|\bnum\.|\bnúm\.)\s*([^\s,]+)/i,
+  pages: /\bpp?\.\s*(\w+(?:\s*[-–]+\s*\w+)?)/i
+};
 
-/**
- * Sleep utility for async delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+/** @const {RegExp} ISSN in card metadata */
+const CARD_ISSN_PATTERN = /\bE?ISSN:?\s*(\d{4}-\d{3}[\dX])/i;
+
+// === UTILITIES ===
 
 /**
  * Safe DOM query selector
@@ -107,12 +191,181 @@ const getCleanText = element => {
 };
 
 /**
- * Generate timestamp string for filenames
- * @returns {string} ISO timestamp formatted for filenames
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "1h 05m", "3m 12s" or "8s"
  */
-const getTimestamp = () => new Date().toISOString()
-  .slice(0, 19)
-  .replace(/[:-]/g, '');
+const formatDuration = ms => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+// === SELECTOR PROFILES ===
+
+/** Active selector profile (the built-in one until the stored override is loaded) */
+const selectorState = {
+  profile: DEFAULT_SELECTOR_PROFILE,
+  overrideId: '',
+  overrideIgnored: false,
+  ready: Promise.resolve()
+};
+
+class SelectorProfile {
+  /**
+   * Load the stored override and merge it over the built-in profile
+   * @returns {Promise<void>}
+   */
+  static async load() {
+    let override = null;
+    try {
+      const stored = await chrome.storage.local.get(SELECTOR_PROFILE_KEY);
+      override = stored[SELECTOR_PROFILE_KEY] || null;
+    } catch (error) {
+      console.warn('Failed to load selector profile:', error);
+    }
+
+    const ignored = Boolean(override) && !(override.version >= DEFAULT_SELECTOR_PROFILE.version);
+    selectorState.profile = this.merge(DEFAULT_SELECTOR_PROFILE, ignored ? null : override);
+    selectorState.overrideId = override && !ignored ? override.id || 'custom' : '';
+    selectorState.overrideIgnored = ignored;
+  }
+
+  /**
+   * Put an override's selectors and patterns in front of the base profile's
+   * The base entries stay in each chain as fallbacks, so a partial override is enough
+   * @param {SelectorProfileDef} base - Built-in profile
+   * @param {?Object} override - Stored override (same shape, every part optional)
+   * @returns {SelectorProfileDef} Merged profile
+   */
+  static merge(base, override) {
+    if (!override) return base;
+
+    const chain = (first, rest) => Array.from(new Set([...(Array.isArray(first) ? first : []), ...rest]));
+    const selectors = {};
+    Object.entries(base.selectors).forEach(([field, fallbacks]) => {
+      selectors[field] = chain((override.selectors || {})[field], fallbacks);
+    });
+
+    return {
+      id: override.id || 'custom',
+      version: override.version,
+      selectors,
+      metadata: chain(override.metadata, base.metadata)
+    };
+  }
+
+  /**
+   * Find the first element for a field, trying its selectors in order
+   * @param {string} field - Selector field
+   * @param {Element|Document} context - Search root (default: document)
+   * @returns {Element|null} Element or null
+   */
+  static find(field, context = document) {
+    for (const selector of selectorState.profile.selectors[field]) {
+      const element = this.query(() => $(selector, context));
+      if (element) return element;
+    }
+    return null;
+  }
+
+  /**
+   * Find all elements for a field using the first selector that matches anything
+   * @param {string} field - Selector field
+   * @param {Element|Document} context - Search root (default: document)
+   * @returns {Element[]} Elements (empty when no selector matches)
+   */
+  static findAll(field, context = document) {
+    for (const selector of selectorState.profile.selectors[field]) {
+      const elements = this.query(() => Array.from($$(selector, context)));
+      if (elements && elements.length > 0) return elements;
+    }
+    return [];
+  }
+
+  /**
+   * Run a DOM query, treating an invalid (user-supplied) selector as no match
+   * @param {function(): *} run - Query to run
+   * @returns {*} Query result, or null when the selector is invalid
+   */
+  static query(run) {
+    try {
+      return run();
+    } catch (error) {
+      console.debug('Invalid selector skipped:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read year and journal from a metadata line, trying each pattern in order
+   * @param {string} text - Metadata line
+   * @returns {{year: string, journal: string}} Values found (empty when missing)
+   */
+  static matchMetadata(text) {
+    const result = { year: '', journal: '' };
+
+    for (const pattern of selectorState.profile.metadata) {
+      const match = this.query(() => new RegExp(pattern).exec(text));
+      const groups = (match && match.groups) || {};
+
+      Object.keys(result).forEach(key => {
+        if (!result[key] && groups[key]) result[key] = groups[key].trim();
+      });
+      if (result.year && result.journal) break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Check that the required fields still match on the current results page
+   * @returns {Object} Report: profile, card count, per-field match rates and missing fields
+   */
+  static selfCheck() {
+    const { profile } = selectorState;
+    const cards = this.findAll('article');
+    const report = {
+      profileId: profile.id,
+      version: profile.version,
+      builtInVersion: DEFAULT_SELECTOR_PROFILE.version,
+      overrideIgnored: selectorState.overrideIgnored,
+      cardCount: cards.length,
+      rates: {},
+      missing: []
+    };
+
+    if (cards.length === 0) {
+      if (PageNavigator.detectPageState() === 'empty') report.missing.push('article');
+      return report;
+    }
+
+    const found = Object.fromEntries(SELF_CHECK_FIELDS.map(field => [field, 0]));
+    cards.forEach((card, index) => {
+      const content = this.find('content', card);
+      if (!content) return;
+
+      const article = ArticleExtractor.extractSingleArticle(card, content, index);
+      SELF_CHECK_FIELDS.forEach(field => {
+        const value = article[field];
+        if (Array.isArray(value) ? value.length > 0 : Boolean(value)) found[field]++;
+      });
+    });
+
+    SELF_CHECK_FIELDS.forEach(field => {
+      const rate = found[field] / cards.length;
+      report.rates[field] = Math.round(rate * 100);
+      if (rate < SELF_CHECK_MIN_RATE) report.missing.push(field);
+    });
+
+    return report;
+  }
+}
 
 // === PAGE NAVIGATION ===
 
@@ -131,9 +384,9 @@ class PageNavigator {
    * @returns {boolean} True if next page available
    */
   static hasNextPage() {
-    if ($(SELECTORS.nextButton)) return true;
+    if (SelectorProfile.find('nextButton')) return true;
 
-    const info = $(SELECTORS.pageInfo);
+    const info = SelectorProfile.find('pageInfo');
     if (info) {
       const match = info.textContent.match(/(\d+)–(\d+)\s*de\s*(\d+)/);
       return match && parseInt(match[2], 10) < parseInt(match[3], 10);
@@ -143,14 +396,44 @@ class PageNavigator {
   }
 
   /**
-   * Navigate to next page
-   * @returns {void}
+   * Get the current search URL without its page parameter
+   * @param {string} href - URL to normalize (default: current location)
+   * @returns {string} Search URL
    */
-  static goToNextPage() {
-    const nextPage = this.getCurrentPage() + 1;
-    const url = new URL(location.href);
-    url.searchParams.set('page', nextPage);
-    location.href = url.toString();
+  static getSearchUrl(href = location.href) {
+    return normalizeSearchUrl(href);
+  }
+
+  /**
+   * Wait until result cards (or the pagination summary) have rendered
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Promise<boolean>} True if results appeared before the timeout
+   */
+  static async waitForResults(timeout = RESULTS_WAIT_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (SelectorProfile.find('article') || SelectorProfile.find('pageInfo')) return true;
+      await sleep(RESULTS_POLL_INTERVAL);
+    }
+    return false;
+  }
+
+  /**
+   * Classify the loaded results page
+   * @returns {string} ok|noResults|rateLimited|empty
+   */
+  static detectPageState() {
+    if (SelectorProfile.findAll('article').length > 0) return 'ok';
+
+    const [navigation] = performance.getEntriesByType('navigation');
+    const responseStatus = navigation ? navigation.responseStatus : 0;
+    const text = document.body ? document.body.textContent : '';
+
+    if (responseStatus === 429 || responseStatus === 503 || RATE_LIMIT_PATTERN.test(text)) {
+      return 'rateLimited';
+    }
+    if (NO_RESULTS_PATTERN.test(text)) return 'noResults';
+    return 'empty';
   }
 
   /**
@@ -158,37 +441,196 @@ class PageNavigator {
    * @returns {number} Total articles estimate
    */
   static getTotalArticlesEstimate() {
-    const info = $(SELECTORS.pageInfo);
+    const info = SelectorProfile.find('pageInfo');
     if (info) {
       const match = info.textContent.match(/de\s*(\d+)/);
       return match ? parseInt(match[1], 10) : 0;
     }
     return 0;
   }
+
+  /**
+   * Read the filters ticked in the results sidebar
+   * @returns {Object<string, string[]>} Selected values by filter group
+   */
+  static getActiveFacets() {
+    const facets = {};
+
+    SelectorProfile.findAll('filterGroup').forEach(group => {
+      const title = getCleanText(SelectorProfile.find('filterGroupTitle', group)).replace(/\s+/g, ' ') || group.id;
+      const values = Array.from(SelectorProfile.findAll('activeFilter', group))
+        .map(input => this.getFilterLabel(input))
+        .filter(Boolean);
+
+      if (title && values.length > 0) {
+        facets[title] = [...(facets[title] || []), ...values];
+      }
+    });
+
+    return facets;
+  }
+
+  /**
+   * Get the visible label of a sidebar filter input
+   * @param {HTMLInputElement} input - Filter input
+   * @returns {string} Label text (without the result count) or the input value
+   */
+  static getFilterLabel(input) {
+    const label = (input.id && $(`label[for="${CSS.escape(input.id)}"]`)) || input.closest('label');
+    const text = getCleanText(label).replace(/\s+/g, ' ').replace(/\s*\(?\d[\d.,]*\)?$/, '');
+    return text || input.value;
+  }
+
+  /**
+   * Capture the full search state: query, URL filters and sidebar facets
+   * @returns {SearchState} Search state
+   */
+  static getSearchState() {
+    return ExportFile.getSearchState(this.getSearchUrl(), {
+      facets: this.getActiveFacets(),
+      totalResults: this.getTotalArticlesEstimate()
+    });
+  }
+}
+
+// === CARD METADATA ===
+
+class CardMetadataParser {
+  /**
+   * Parse the segments of a result card's metadata line
+   * ("15 mar. 2017 - v. 41, n. 3, p. 1-9 | Journal | Publisher | Inglês | Scopus")
+   * Year and journal come from the profile patterns; the journal segment is skipped here
+   * @param {string} text - Metadata line
+   * @param {string} [journal] - Journal already read from the line
+   * @returns {Partial<Article>} Fields found (volume, issue, startPage, endPage, issn,
+   *   publisher, language, sourceIndex)
+   */
+  static parse(text, journal = '') {
+    const fields = {};
+    const set = (key, value) => {
+      if (value && !fields[key]) fields[key] = value.trim();
+    };
+
+    const segments = text.split('|').map(segment => segment.trim()).filter(Boolean);
+
+    segments.forEach((segment, position) => {
+      // The first segment is "date - volume, issue, pages"
+      const value = position === 0 ? segment.replace(/^.*? - /, '') : segment;
+      if (position > 0 && value === journal) return;
+
+      if (this.parseCitation(value, set)) return;
+
+      const issn = value.match(CARD_ISSN_PATTERN);
+      if (issn) {
+        set('issn', issn[1].toUpperCase());
+        return;
+      }
+
+      const labeled = value.match(/^([\p{L}\s]+?)\s*:\s*(.+)$/u);
+      const field = labeled && CARD_METADATA_LABELS[labeled[1].toLowerCase()];
+      if (field) {
+        set(field, field === 'language' ? this.normalizeLanguage(labeled[2]) : labeled[2]);
+        return;
+      }
+
+      const language = CARD_LANGUAGES[value.toLowerCase()];
+      if (language) {
+        set('language', language);
+        return;
+      }
+
+      const sourceIndex = SOURCE_INDEXES.find(name => name.toLowerCase() === value.toLowerCase());
+      if (sourceIndex) {
+        set('sourceIndex', sourceIndex);
+        return;
+      }
+
+      if (position > 0 && PUBLISHER_PATTERN.test(value)) {
+        set('publisher', value);
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Read volume, issue and pages from a citation segment
+   * @param {string} value - Segment text
+   * @param {function(string, string): void} set - Field setter
+   * @returns {boolean} True if the segment held any of them
+   */
+  static parseCitation(value, set) {
+    const volume = value.match(CITATION_PATTERNS.volume);
+    const issue = value.match(CITATION_PATTERNS.issue);
+    const pages = value.match(CITATION_PATTERNS.pages);
+
+    if (volume) set('volume', volume[1]);
+    if (issue) set('issue', issue[1]);
+    if (pages) {
+      const { startPage, endPage } = DetailEnricher.parsePages(pages[1]);
+      set('startPage', startPage);
+      set('endPage', endPage);
+    }
+
+    return Boolean(volume || issue || pages);
+  }
+
+  /**
+   * Map a printed language name to its ISO 639-1 code
+   * @param {string} name - Language name
+   * @returns {string} Code, or the name as printed when unknown
+   */
+  static normalizeLanguage(name) {
+    return CARD_LANGUAGES[name.trim().toLowerCase()] || name.trim();
+  }
 }
 
 // === ARTICLE EXTRACTION ===
 
 class ArticleExtractor {
+  /**
+   * Extract articles and pagination info from the current page
+   * @returns {PageResult} Page extraction result
+   */
+  static extractPageResult() {
+    const { articles, rejected } = this.extractFromPage();
+    return {
+      page: PageNavigator.getCurrentPage(),
+      state: PageNavigator.detectPageState(),
+      articles,
+      rejected,
+      hasNextPage: Boolean(PageNavigator.hasNextPage()),
+      totalArticles: PageNavigator.getTotalArticlesEstimate()
+    };
+  }
+
   /**
    * Extract all articles from current page
-   * @returns {Article[]} Array of extracted articles
+   * @returns {{articles: Article[], rejected: RejectedRecord[]}} Valid articles and rejected cards
    */
   static extractFromPage() {
     const articles = [];
-    const elements = $$(SELECTORS.article);
+    const rejected = [];
+    const page = PageNavigator.getCurrentPage();
+    const elements = SelectorProfile.findAll('article');
 
     elements.forEach((element, index) => {
-      const content = $('div[id^="conteudo-"]', element);
-      if (!content) return;
+      const content = SelectorProfile.find('content', element);
+      if (!content) {
+        rejected.push({ id: element.id || `article_${index}`, title: '', page, reason: 'Card content not found' });
+        return;
+      }
 
       const article = this.extractSingleArticle(element, content, index);
-      if (this.isValidArticle(article)) {
+      const reason = this.getRejectionReason(article);
+      if (reason) {
+        rejected.push({ id: article.id, title: article.title, page, reason });
+      } else {
         articles.push(article);
       }
     });
 
-    return articles;
+    return { articles, rejected };
   }
 
   /**
@@ -207,7 +649,10 @@ class ArticleExtractor {
       year: '',
       documentType: this.extractDocumentType(content),
       isOpenAccess: this.checkOpenAccess(content),
-      isPeerReviewed: this.checkPeerReviewed(content)
+      isPeerReviewed: this.checkPeerReviewed(content),
+      detailUrl: this.extractDetailUrl(element),
+      sourceUrl: location.href,
+      sourcePage: PageNavigator.getCurrentPage()
     };
 
     this.extractMetadata(content, article);
@@ -220,17 +665,34 @@ class ArticleExtractor {
    * @returns {string} Article title
    */
   static extractTitle(content) {
-    const titleElement = $(SELECTORS.title, content);
+    const titleElement = SelectorProfile.find('title', content);
     return getCleanText(titleElement);
   }
 
+  /**
+   * Extract link to the article detail page
+   * @param {Element} element - Article element
+   * @returns {string} Absolute detail URL or empty string
+   */
+  static extractDetailUrl(element) {
+    const link = SelectorProfile.find('detailLink', element);
+    const href = link && link.getAttribute('href');
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return '';
+
+    try {
+      return new URL(href, location.href).toString();
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Extract authors list
    * @param {Element} content - Content element
    * @returns {string[]} Array of author names
    */
   static extractAuthors(content) {
-    const authorElements = $$(SELECTORS.authors, content);
+    const authorElements = SelectorProfile.findAll('authors', content);
     return Array.from(authorElements, el => getCleanText(el)).filter(Boolean);
   }
 
@@ -240,7 +702,7 @@ class ArticleExtractor {
    * @returns {string} Document type
    */
   static extractDocumentType(content) {
-    const typeElement = $(SELECTORS.documentType, content);
+    const typeElement = SelectorProfile.find('documentType', content);
     return getCleanText(typeElement) || 'Artigo';
   }
 
@@ -250,7 +712,7 @@ class ArticleExtractor {
    * @returns {boolean} True if open access
    */
   static checkOpenAccess(content) {
-    return Boolean($(SELECTORS.openAccess, content));
+    return Boolean(SelectorProfile.find('openAccess', content));
   }
 
   /**
@@ -259,31 +721,33 @@ class ArticleExtractor {
    * @returns {boolean} True if peer reviewed
    */
   static checkPeerReviewed(content) {
-    return Boolean($(SELECTORS.peerReviewed, content));
+    return Boolean(SelectorProfile.find('peerReviewed', content));
   }
 
   /**
-   * Extract metadata (year, journal)
+   * Extract metadata: year and journal using the profile's metadata patterns,
+   * then date, volume, issue, pages, publisher, language and source index
+   * from the remaining segments
    * @param {Element} content - Content element
    * @param {Article} article - Article object to populate
    */
   static extractMetadata(content, article) {
-    const metaElements = $$(SELECTORS.metadata, content);
-    
+    const metaElements = SelectorProfile.findAll('metadata', content);
+
     for (const meta of metaElements) {
       const text = getCleanText(meta);
-      
-      if (text.includes(' - ') && text.includes('|')) {
-        const parts = text.split(' - ');
-        if (parts.length >= 2) {
-          article.year = parts[0].trim();
-          const remaining = parts[1].split(' | ');
-          if (remaining.length >= 2) {
-            article.journal = remaining[1].trim();
-          }
-        }
-        break;
+      const { year, journal } = SelectorProfile.matchMetadata(text);
+
+      if (!article.year && year) {
+        const published = PublicationDate.parse(year);
+        article.year = published.year;
+        if (published.date) article.date = published.date;
       }
+      if (!article.journal) article.journal = journal;
+
+      Object.entries(CardMetadataParser.parse(text, article.journal)).forEach(([key, value]) => {
+        if (!article[key]) article[key] = value;
+      });
     }
   }
 
@@ -293,266 +757,542 @@ class ArticleExtractor {
    * @returns {boolean} True if valid
    */
   static isValidArticle(article) {
-    return article.title && article.title.length > 5;
+    return !this.getRejectionReason(article);
+  }
+
+  /**
+   * Explain why an article is not valid
+   * @param {Article} article - Article to validate
+   * @returns {string} Rejection reason, or empty string when valid
+   */
+  static getRejectionReason(article) {
+    if (!article.title) return 'No title found';
+    if (article.title.length <= 5) return `Title too short ("${article.title}")`;
+    return '';
   }
 }
 
-// === FORMAT CONVERTERS ===
+// === DETAIL ENRICHMENT ===
 
-class FormatConverter {
+class DetailEnricher {
   /**
-   * Convert articles to RIS format
-   * @param {Article[]} articles - Articles to convert
-   * @returns {string} RIS formatted string
+   * Enrich articles with metadata from their detail pages
+   * @param {Article[]} articles - Articles to enrich in place
+   * @param {function(number, number): void} [onProgress] - Progress callback (done, total)
+   * @returns {Promise<number>} Number of articles successfully enriched
    */
-  static toRIS(articles) {
-    const records = articles.map(article => this.articleToRIS(article));
-    return records.join('\n\n') + '\n';
+  static async enrichAll(articles, onProgress) {
+    let done = 0;
+    let enriched = 0;
+
+    await runWithConcurrency(articles, ENRICH_CONCURRENCY, async article => {
+      if (await this.enrichArticle(article)) enriched++;
+      done++;
+      if (onProgress) onProgress(done, articles.length);
+    });
+
+    return enriched;
   }
 
   /**
-   * Convert single article to RIS format
-   * @param {Article} article - Article to convert
-   * @returns {string} RIS record string
+   * Fetch and merge detail metadata into a single article
+   * @param {Article} article - Article to enrich in place
+   * @returns {Promise<boolean>} True if detail page was parsed
    */
-  static articleToRIS(article) {
-    const lines = [];
-    const risType = RIS_TYPE_MAP[article.documentType] || 'JOUR';
-    
-    lines.push(`TY  - ${risType}`);
-    
-    if (article.title) {
-      lines.push(`TI  - ${article.title}`);
-    }
-    
-    article.authors.forEach(author => {
-      lines.push(`AU  - ${author}`);
-    });
-    
-    if (article.year) {
-      const yearMatch = article.year.match(/(\d{4})/);
-      if (yearMatch) {
-        lines.push(`PY  - ${yearMatch[1]}`);
+  static async enrichArticle(article) {
+    if (!article.detailUrl) return false;
+
+    for (let attempt = 0; attempt <= ENRICH_RETRIES; attempt++) {
+      try {
+        const doc = await this.fetchDetailPage(article.detailUrl);
+        this.mergeDetails(article, this.parseDetailPage(doc));
+        return true;
+      } catch (error) {
+        if (attempt === ENRICH_RETRIES) {
+          console.warn(`Failed to enrich article ${article.id}:`, error);
+          return false;
+        }
+        await sleep(ENRICH_RETRY_DELAY * 2 ** attempt);
       }
     }
-    
-    if (article.journal) {
-      lines.push(`T2  - ${article.journal}`);
-      lines.push(`JF  - ${article.journal}`);
-    }
-    
-    const notes = this.buildNotesArray(article);
-    if (notes.length > 0) {
-      lines.push(`N1  - ${notes.join('; ')}`);
+
+    return false;
+  }
+
+  /**
+   * Fetch and parse a detail page
+   * @param {string} url - Detail page URL
+   * @returns {Promise<Document>} Parsed document
+   */
+  static async fetchDetailPage(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
-    
-    lines.push('ER  - ');
-    return lines.join('\r\n');
+    const html = await response.text();
+    return new DOMParser().parseFromString(html, 'text/html');
   }
 
   /**
-   * Convert articles to BibTeX format
-   * @param {Article[]} articles - Articles to convert
-   * @returns {string} BibTeX formatted string
+   * Parse metadata from a detail page
+   * Prefers Highwire citation meta tags, falls back to labelled fields
+   * @param {Document} doc - Detail page document
+   * @returns {Partial<Article>} Parsed metadata
    */
-  static toBibTeX(articles) {
-    const entries = articles
-      .filter(article => article.title)
-      .map(article => this.articleToBibTeX(article));
-    return entries.join('\n\n') + '\n';
+  static parseDetailPage(doc) {
+    const meta = name => {
+      const element = doc.querySelector(`meta[name="${name}" i]`);
+      return element ? (element.getAttribute('content') || '').trim() : '';
+    };
+
+    const pages = this.parsePages(this.findLabeledValue(doc, DETAIL_LABELS.pages));
+
+    return {
+      doi: this.normalizeDOI(
+        meta('citation_doi') || meta('dc.identifier') ||
+        this.findLabeledValue(doc, DETAIL_LABELS.doi)
+      ),
+      abstract: meta('citation_abstract') || meta('dc.description') ||
+        this.findLabeledValue(doc, DETAIL_LABELS.abstract),
+      volume: meta('citation_volume') || this.findLabeledValue(doc, DETAIL_LABELS.volume),
+      issue: meta('citation_issue') || this.findLabeledValue(doc, DETAIL_LABELS.issue),
+      startPage: meta('citation_firstpage') || pages.startPage,
+      endPage: meta('citation_lastpage') || pages.endPage,
+      issn: meta('citation_issn') || this.findLabeledValue(doc, DETAIL_LABELS.issn)
+    };
   }
 
   /**
-   * Convert single article to BibTeX format
-   * @param {Article} article - Article to convert
-   * @returns {string} BibTeX entry string
+   * Find the value following a field label on the detail page
+   * @param {Document} doc - Detail page document
+   * @param {string[]} labels - Candidate labels
+   * @returns {string} Field value or empty string
    */
-  static articleToBibTeX(article) {
-    const citationKey = this.generateCitationKey(article);
-    const entryType = BIBTEX_TYPE_MAP[article.documentType] || 'article';
-    
-    const lines = [`@${entryType}{${citationKey},`];
-    
-    lines.push(`  title = {${this.escapeBibTeX(article.title)}},`);
-    
-    if (article.authors.length > 0) {
-      const authors = article.authors.join(' and ');
-      lines.push(`  author = {${this.escapeBibTeX(authors)}},`);
+  static findLabeledValue(doc, labels) {
+    const candidates = doc.querySelectorAll('strong, b, dt, th, span, p');
+
+    for (const element of candidates) {
+      const text = getCleanText(element).replace(/:$/, '');
+      if (!labels.some(label => text.toLowerCase() === label.toLowerCase())) continue;
+
+      const sibling = element.nextElementSibling;
+      const value = sibling
+        ? getCleanText(sibling)
+        : getCleanText(element.parentElement).slice(getCleanText(element).length);
+      const cleaned = value.replace(/^[:\s]+/, '').trim();
+      if (cleaned) return cleaned;
     }
-    
-    if (article.journal) {
-      lines.push(`  journal = {${this.escapeBibTeX(article.journal)}},`);
-    }
-    
-    const year = this.extractYear(article.year);
-    if (year !== 'unknown') {
-      lines.push(`  year = {${year}},`);
+
+    return '';
+  }
+
+  /**
+   * Normalize a DOI string
+   * @param {string} value - Raw DOI, DOI URL or text containing a DOI
+   * @returns {string} Bare DOI or empty string
+   */
+  static normalizeDOI(value) {
+    if (!value) return '';
+    const match = value.match(DOI_PATTERN);
+    return match ? match[0].replace(/[.,;]+$/, '') : '';
+  }
+
+  /**
+   * Split a page range into start and end pages
+   * @param {string} value - Page range (e.g. "123-130")
+   * @returns {{startPage: string, endPage: string}} Page bounds
+   */
+  static parsePages(value) {
+    const match = (value || '').match(/(\w+)\s*[-–]+\s*(\w+)/);
+    if (match) return { startPage: match[1], endPage: match[2] };
+    return { startPage: (value || '').trim(), endPage: '' };
+  }
+
+  /**
+   * Merge non-empty detail fields into an article
+   * @param {Article} article - Article to update
+   * @param {Partial<Article>} details - Parsed detail metadata
+   */
+  static mergeDetails(article, details) {
+    Object.entries(details).forEach(([key, value]) => {
+      if (value) article[key] = value;
+    });
+  }
+}
+
+// === SELECTION STATE ===
+
+/** Pending selection change (changes are applied one at a time) */
+const selectionState = {
+  queue: Promise.resolve()
+};
+
+class SelectionStore {
+  /**
+   * Load a search's selected articles from extension storage
+   * Kept per search so every tab showing its result pages shares one selection
+   * @param {string} [searchUrl] - Search URL (default: the current page's search)
+   * @returns {Promise<Object<string, Article>>} Selected articles by id
+   */
+  static async load(searchUrl = PageNavigator.getSearchUrl()) {
+    try {
+      const stored = await chrome.storage.local.get(SELECTION_KEY);
+      return (stored[SELECTION_KEY] || {})[searchUrl] || {};
+    } catch (error) {
+      console.warn('Failed to load selection:', error);
+      return {};
     }
-    
-    const notes = this.buildNotesArray(article);
-    if (notes.length > 0) {
-      lines.push(`  note = {${this.escapeBibTeX(notes.join('; '))}},`);
+  }
+
+  /**
+   * Save a search's selected articles to extension storage
+   * @param {Object<string, Article>} selection - Selected articles by id (empty drops the search)
+   * @param {string} [searchUrl] - Search URL (default: the current page's search)
+   * @returns {Promise<void>}
+   */
+  static async save(selection, searchUrl = PageNavigator.getSearchUrl()) {
+    try {
+      const stored = await chrome.storage.local.get(SELECTION_KEY);
+      const selections = stored[SELECTION_KEY] || {};
+      if (Object.keys(selection).length > 0) {
+        selections[searchUrl] = selection;
+      } else {
+        delete selections[searchUrl];
+      }
+      await chrome.storage.local.set({ [SELECTION_KEY]: selections });
+    } catch (error) {
+      console.warn('Failed to save selection:', error);
     }
-    
-    lines.push('}');
-    return lines.join('\n');
   }
 
   /**
-   * Generate citation key for BibTeX
-   * @param {Article} article - Article data
-   * @returns {string} Citation key
+   * Apply a change to the current search's selection
+   * Queued, so checkbox clicks faster than a storage round trip aren't lost
+   * @param {function(Object<string, Article>): void} change - Updates the selection in place
+   * @returns {Promise<void>}
    */
-  static generateCitationKey(article) {
-    const titleWords = article.title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 3);
-    
-    const year = this.extractYear(article.year);
-    return titleWords.join('') + year;
+  static update(change) {
+    selectionState.queue = selectionState.queue.then(async () => {
+      const selection = await this.load();
+      change(selection);
+      await this.save(selection);
+    });
+    return selectionState.queue;
   }
 
   /**
-   * Extract year from year string
-   * @param {string} yearStr - Year string
-   * @returns {string} Extracted year or 'unknown'
+   * Add or remove an article from the selection
+   * @param {Article} article - Article to toggle
+   * @param {boolean} selected - Whether the article is selected
+   * @returns {Promise<void>}
    */
-  static extractYear(yearStr) {
-    if (!yearStr) return 'unknown';
-    const match = yearStr.match(/(\d{4})/);
-    return match ? match[1] : 'unknown';
+  static toggle(article, selected) {
+    return this.update(selection => {
+      if (selected) {
+        selection[article.id] = article;
+      } else {
+        delete selection[article.id];
+      }
+    });
   }
 
   /**
-   * Escape special characters for BibTeX
-   * @param {string} str - String to escape
-   * @returns {string} Escaped string
+   * Get selected articles in selection order
+   * @returns {Promise<Article[]>} Selected articles
    */
-  static escapeBibTeX(str) {
-    return str
-      .replace(/\\/g, '\\\\')
-      .replace(/\{/g, '\\{')
-      .replace(/\}/g, '\\}')
-      .replace(/\$/g, '\\$')
-      .replace(/&/g, '\\&')
-      .replace(/%/g, '\\%')
-      .replace(/#/g, '\\#');
+  static async getArticles() {
+    await selectionState.queue;
+    return Object.values(await this.load());
   }
 
   /**
-   * Build notes array for article
-   * @param {Article} article - Article data
-   * @returns {string[]} Array of notes
+   * Clear the current search's selection
+   * @returns {Promise<void>}
    */
-  static buildNotesArray(article) {
-    const notes = [];
-    if (article.isOpenAccess) notes.push('Open Access');
-    if (article.isPeerReviewed) notes.push('Peer Reviewed');
-    if (article.id) notes.push(`CAPES ID: ${article.id}`);
-    return notes;
+  static clear() {
+    return this.update(selection => {
+      Object.keys(selection).forEach(id => delete selection[id]);
+    });
   }
 }
 
-// === FILE DOWNLOAD ===
+// === SELECTION UI ===
 
-class FileDownloader {
+class SelectionUI {
   /**
-   * Download content as file
-   * @param {string} content - File content
-   * @param {string} filename - Filename
+   * @param {ExportController} controller - Export controller for selected exports
    */
-  static download(content, filename) {
-    const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.style.display = 'none';
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    URL.revokeObjectURL(url);
+  constructor(controller) {
+    this.controller = controller;
+    this.bar = null;
+    this.observer = null;
   }
 
   /**
-   * Generate filename for export
-   * @param {string} format - Export format
-   * @returns {string} Generated filename
-   */
-  static generateFilename(format) {
-    const searchParams = new URLSearchParams(location.search);
-    const searchTerm = searchParams.get('q') || 'capes-export';
-    const cleanTerm = searchTerm
-      .replace(/[^a-zA-Z0-9]/g, '_')
-      .slice(0, 20);
-    const timestamp = getTimestamp();
-    const ext = format === 'ris' ? 'ris' : 'bib';
-    
-    return `capes_${cleanTerm}_${timestamp}.${ext}`;
+   * Inject checkboxes and keep them in sync with result list changes
+   */
+  init() {
+    this.attachCheckboxes();
+    this.updateBar();
+
+    // Another tab on the same search may change the selection
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[SELECTION_KEY]) {
+        this.syncCheckboxes();
+        this.updateBar();
+      }
+    });
+
+    let scheduled = false;
+    this.observer = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        this.attachCheckboxes();
+      });
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
   }
-}
 
-// === STATE MANAGEMENT ===
+  /**
+   * Add a selection checkbox to every result card that lacks one
+   */
+  async attachCheckboxes() {
+    const selection = await SelectionStore.load();
+
+    SelectorProfile.findAll('article').forEach((element, index) => {
+      if ($('.capes-export-select', element)) return;
+
+      const content = SelectorProfile.find('content', element);
+      if (!content) return;
+
+      const article = ArticleExtractor.extractSingleArticle(element, content, index);
+      if (!ArticleExtractor.isValidArticle(article)) return;
+
+      element.prepend(this.createCheckbox(article, Boolean(selection[article.id])));
+    });
+  }
+
+  /**
+   * Create checkbox element for an article card
+   * @param {Article} article - Article shown in the card
+   * @param {boolean} checked - Initial checked state
+   * @returns {Element} Checkbox label element
+   */
+  createCheckbox(article, checked) {
+    const label = document.createElement('label');
+    label.className = 'capes-export-select';
+    label.style.cssText = `
+      display: inline-flex; align-items: center; gap: 6px; cursor: pointer;
+      font-size: 13px; color: #1976d2; margin-bottom: 4px;
+    `;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.dataset.articleId = article.id;
+    checkbox.addEventListener('change', async () => {
+      await SelectionStore.toggle(article, checkbox.checked);
+      this.updateBar();
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode('Select for export'));
+    return label;
+  }
+
+  /**
+   * Tick the checkboxes of the stored selection
+   */
+  async syncCheckboxes() {
+    const selection = await SelectionStore.load();
+    $$('.capes-export-select input').forEach(checkbox => {
+      checkbox.checked = Boolean(selection[checkbox.dataset.articleId]);
+    });
+  }
+
+  /**
+   * Show, update or hide the floating "Export selected" bar
+   */
+  async updateBar() {
+    const count = (await SelectionStore.getArticles()).length;
+
+    if (count === 0) {
+      if (this.bar) {
+        this.bar.remove();
+        this.bar = null;
+      }
+      return;
+    }
+
+    if (!this.bar) {
+      this.bar = this.createBar();
+      document.body.appendChild(this.bar);
+    }
+
+    this.bar.querySelector('.capes-export-selected-btn').textContent = `📥 Export selected (${count})`;
+  }
+
+  /**
+   * Create floating selection bar
+   * @returns {Element} Bar element
+   */
+  createBar() {
+    const bar = document.createElement('div');
+    bar.className = 'capes-export-selection-bar';
+    bar.style.cssText = `
+      position: fixed; right: 24px; bottom: 24px; z-index: 999998;
+      display: flex; gap: 8px; padding: 12px; background: white;
+      border-radius: 8px; box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.2);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+    `;
+
+    const buttonStyle = `
+      padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer;
+      font-size: 14px; font-weight: 500;
+    `;
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'capes-export-selected-btn';
+    exportButton.style.cssText = `${buttonStyle} background: #1976d2; color: white;`;
+    exportButton.addEventListener('click', () => this.exportWithSavedSettings());
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.textContent = 'Clear';
+    clearButton.style.cssText = `${buttonStyle} background: #e5e7eb; color: #374151;`;
+    clearButton.addEventListener('click', () => this.clearSelection());
+
+    bar.appendChild(exportButton);
+    bar.appendChild(clearButton);
+    return bar;
+  }
 
-class StateManager {
   /**
-   * Save export state to session storage
-   * @param {ExportState} state - State to save
+   * Export the selection using the format and options saved by the popup
    */
-  static save(state) {
+  async exportWithSavedSettings() {
+    let settings = {};
     try {
-      const serializedState = {
-        ...state,
-        processedPages: Array.from(state.processedPages),
-        startTime: state.startTime.toISOString()
-      };
-      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(serializedState));
+      const stored = await chrome.storage.local.get(SETTINGS_KEY);
+      settings = stored[SETTINGS_KEY] || {};
     } catch (error) {
-      console.warn('Failed to save export state:', error);
+      console.warn('Failed to load settings:', error);
     }
+
+    const { format = 'ris', ...options } = settings;
+    await this.controller.exportSelected(format, options);
+  }
+
+  /**
+   * Clear the selection and untick all checkboxes
+   */
+  async clearSelection() {
+    await SelectionStore.clear();
+    $$('.capes-export-select input').forEach(checkbox => {
+      checkbox.checked = false;
+    });
+    this.updateBar();
+  }
+}
+
+// === LIBRARY BADGES ===
+
+class LibraryBadgeUI {
+  constructor() {
+    this.lookup = null;
+    this.observer = null;
   }
 
   /**
-   * Load export state from session storage
-   * @returns {ExportState|null} Loaded state or null
+   * Load the imported library and badge result cards it already has
    */
-  static load() {
+  async init() {
+    await this.loadLibrary();
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[LIBRARY_KEY]) {
+        this.loadLibrary();
+      }
+    });
+
+    let scheduled = false;
+    this.observer = new MutationObserver(() => {
+      if (scheduled || !this.lookup) return;
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        this.attachBadges();
+      });
+    });
+    this.observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * (Re)load the library match keys and refresh badges
+   */
+  async loadLibrary() {
     try {
-      const data = sessionStorage.getItem(STORAGE_KEY);
-      if (!data) return null;
-      
-      const parsed = JSON.parse(data);
-      return {
-        ...parsed,
-        processedPages: new Set(parsed.processedPages),
-        startTime: new Date(parsed.startTime)
-      };
+      const stored = await chrome.storage.local.get(LIBRARY_KEY);
+      const library = stored[LIBRARY_KEY];
+      this.lookup = library ? LibraryIndex.toLookup(library) : null;
     } catch (error) {
-      console.warn('Failed to load export state:', error);
-      this.clear();
-      return null;
+      console.warn('Failed to load library:', error);
+      this.lookup = null;
     }
+
+    $$('.capes-export-library-badge').forEach(badge => badge.remove());
+    if (this.lookup) this.attachBadges();
   }
 
   /**
-   * Clear saved export state
+   * Badge every result card whose article is in the library
    */
-  static clear() {
-    sessionStorage.removeItem(STORAGE_KEY);
+  attachBadges() {
+    SelectorProfile.findAll('article').forEach((element, index) => {
+      if ($('.capes-export-library-badge', element)) return;
+
+      const content = SelectorProfile.find('content', element);
+      if (!content) return;
+
+      const article = ArticleExtractor.extractSingleArticle(element, content, index);
+      if (LibraryIndex.contains(this.lookup, article)) {
+        element.prepend(this.createBadge());
+      }
+    });
+  }
+
+  /**
+   * Create the "already in library" badge
+   * @returns {Element} Badge element
+   */
+  createBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'capes-export-library-badge';
+    badge.textContent = '📚 Already in library';
+    badge.style.cssText = `
+      display: inline-block; margin: 0 8px 4px 0; padding: 2px 8px;
+      border-radius: 10px; background: #e8f5e8; color: #2e7d32;
+      font-size: 12px; font-weight: 500;
+    `;
+    return badge;
   }
 }
 
 // === PROGRESS UI ===
 
 class ProgressUI {
-  constructor() {
+  /**
+   * @param {function(string): void} onAction - Called with the job action of a clicked control
+   */
+  constructor(onAction = () => {}) {
     this.overlay = null;
+    this.onAction = onAction;
+    this.job = null;
+    this.statsTimer = null;
+    this.hideTimer = null;
   }
 
   /**
@@ -560,11 +1300,15 @@ class ProgressUI {
    * @param {string} message - Initial message
    */
   show(message = 'Initializing export...') {
+    // A new job arriving during a pending hide keeps the overlay up
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
     if (this.overlay) return;
 
     this.overlay = this.createElement();
     document.body.appendChild(this.overlay);
     this.updateStatus(message, 0);
+    this.statsTimer = setInterval(() => this.renderStats(), STATS_REFRESH_INTERVAL);
   }
 
   /**
@@ -582,6 +1326,90 @@ class ProgressUI {
     if (progressEl) progressEl.style.width = `${Math.max(0, Math.min(100, progress))}%`;
   }
 
+  /**
+   * Reflect a job's status in the controls and statistics
+   * @param {?ExportJobSummary} job - Job summary (null hides the controls)
+   */
+  updateJob(job) {
+    this.job = job;
+    if (!this.overlay) return;
+
+    const status = job ? job.status : null;
+    const hasArticles = Boolean(job) && job.articleCount > 0;
+    const hasReport = Boolean(job) && Boolean(job.coverage);
+    const visibility = {
+      pauseJob: status === 'running',
+      resumeJob: status === 'paused' || status === 'failed',
+      cancelJob: status === 'running' || status === 'paused',
+      downloadPartial: ['running', 'paused', 'failed'].includes(status) && hasArticles,
+      downloadReport: hasReport,
+      dismiss: status === 'failed' || hasReport
+    };
+
+    this.overlay.querySelectorAll('.capes-export-control').forEach(button => {
+      button.style.display = visibility[button.dataset.action] ? '' : 'none';
+    });
+
+    this.renderStats();
+    this.renderReport();
+  }
+
+  /**
+   * Render field coverage and rejected records once the export has finished
+   */
+  renderReport() {
+    const reportEl = this.overlay && this.overlay.querySelector('.export-report');
+    if (!reportEl) return;
+
+    const { job } = this;
+    if (!job || !job.coverage) {
+      reportEl.style.display = 'none';
+      return;
+    }
+
+    const coverage = Object.entries(REPORT_SUMMARY_FIELDS)
+      .map(([field, label]) => `${label} ${job.coverage[field].percent}%`)
+      .join(' · ');
+    // A job that failed while finishing may have no records to measure
+    const lines = job.articleCount > 0 ? [`Field coverage: ${coverage}`] : [];
+    if (job.rejectedCount > 0) {
+      lines.push(`⚠️ ${job.rejectedCount} results rejected during extraction`);
+    }
+
+    reportEl.textContent = lines.join('\n');
+    reportEl.style.display = lines.length > 0 ? '' : 'none';
+  }
+
+  /**
+   * Render pages done, articles, elapsed time and ETA
+   */
+  renderStats() {
+    if (!this.overlay || !this.job) return;
+
+    const statsEl = this.overlay.querySelector('.export-stats');
+    if (!statsEl) return;
+
+    const { job } = this;
+    const elapsed = Date.now() - new Date(job.startTime).getTime();
+    const parts = [
+      `📄 ${job.pagesDone} pages`,
+      `📚 ${job.articleCount} articles`,
+      `⏱️ ${formatDuration(elapsed)}`
+    ];
+
+    if (job.skippedPages && job.skippedPages.length > 0) {
+      parts.push(`⚠️ ${job.skippedPages.length} skipped`);
+    }
+
+    // Estimate from the average pace so far; only meaningful while running
+    if (job.status === 'running' && job.progress > 0 && job.progress < 100) {
+      const remaining = (elapsed / job.progress) * (100 - job.progress);
+      parts.push(`ETA ${formatDuration(remaining)}`);
+    }
+
+    statsEl.textContent = parts.join(' · ');
+  }
+
   /**
    * Hide progress overlay
    * @param {number} delay - Hide delay in milliseconds
@@ -589,12 +1417,24 @@ class ProgressUI {
   hide(delay = 2000) {
     if (!this.overlay) return;
 
-    setTimeout(() => {
-      if (this.overlay) {
-        this.overlay.remove();
-        this.overlay = null;
-      }
-    }, delay);
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.remove(), delay);
+  }
+
+  /**
+   * Remove the overlay immediately
+   */
+  remove() {
+    clearInterval(this.statsTimer);
+    clearTimeout(this.hideTimer);
+    this.statsTimer = null;
+    this.hideTimer = null;
+    this.job = null;
+
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
   }
 
   /**
@@ -646,190 +1486,204 @@ class ProgressUI {
       font-size: 14px; color: #6b7280; margin-top: 12px;
     `;
 
+    const report = document.createElement('div');
+    report.className = 'export-report';
+    report.style.cssText = `
+      display: none; font-size: 13px; color: #374151; margin-top: 12px;
+      padding: 8px 12px; background: #f3f4f6; border-radius: 6px; white-space: pre-line;
+    `;
+
     progressContainer.appendChild(progressBar);
     modal.appendChild(status);
     modal.appendChild(progressContainer);
     modal.appendChild(stats);
+    modal.appendChild(report);
+    modal.appendChild(this.createControls());
     overlay.appendChild(modal);
 
     return overlay;
   }
+
+  /**
+   * Create Pause/Resume/Cancel/partial download/report/Close buttons
+   * Hidden until the first job update tells which ones apply
+   * @returns {Element} Controls container
+   */
+  createControls() {
+    const controls = document.createElement('div');
+    controls.className = 'export-controls';
+    controls.style.cssText = `
+      display: flex; flex-wrap: wrap; justify-content: center; gap: 8px; margin-top: 20px;
+    `;
+
+    const buttonStyle = `
+      display: none; padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer;
+      font-size: 14px; font-weight: 500;
+    `;
+
+    const buttons = [
+      { action: 'pauseJob', label: '⏸️ Pause', colors: 'background: #e5e7eb; color: #374151;' },
+      { action: 'resumeJob', label: '▶️ Resume', colors: 'background: #1976d2; color: white;' },
+      { action: 'downloadPartial', label: '📥 Download what I have so far', colors: 'background: #e5e7eb; color: #374151;' },
+      { action: 'cancelJob', label: '⏹️ Cancel', colors: 'background: #fee2e2; color: #c62828;' },
+      { action: 'downloadReport', label: '📊 Download report (JSON)', colors: 'background: #e5e7eb; color: #374151;' },
+      { action: 'dismiss', label: 'Close', colors: 'background: #e5e7eb; color: #374151;' }
+    ];
+
+    buttons.forEach(({ action, label, colors }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'capes-export-control';
+      button.dataset.action = action;
+      button.textContent = label;
+      button.style.cssText = `${buttonStyle} ${colors}`;
+      button.addEventListener('click', () => this.onAction(action));
+      controls.appendChild(button);
+    });
+
+    return controls;
+  }
 }
 
 // === MAIN EXPORT CONTROLLER ===
 
+/** @const {Set<string>} Job statuses after which the overlay closes */
+const FINISHED_JOB_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
 class ExportController {
   constructor() {
-    this.state = null;
-    this.progressUI = new ProgressUI();
-    this.processingTimeout = null;
+    this.jobId = null;
+    this.progressUI = new ProgressUI(action => this.controlJob(action));
   }
 
   /**
-   * Start export process
-   * @param {string} format - Export format (ris|bibtex)
+   * Start a background export job for the current search
+   * @param {string} format - Export format (ris|bibtex|csljson|endnote|refworks|csv|xlsx)
+   * @param {ExportOptions} options - Export options
    */
-  async startExport(format) {
-    try {
-      this.clearExistingExport();
-      this.initializeState(format);
-      this.progressUI.show('Starting export...');
-      
-      await this.processCurrentPage();
-    } catch (error) {
-      console.error('Export failed:', error);
-      this.handleError(error);
-    }
+  async startExport(format, options = {}) {
+    await this.startJob({
+      format,
+      options: {
+        ...options,
+        startPage: toPositiveInt(options.startPage) || PageNavigator.getCurrentPage()
+      },
+      searchUrl: PageNavigator.getSearchUrl(),
+      searchState: PageNavigator.getSearchState()
+    }, 'Starting export...');
   }
 
   /**
-   * Resume export from saved state
+   * Export only the articles selected via result-list checkboxes
+   * @param {string} format - Export format
+   * @param {ExportOptions} options - Export options
    */
-  async resumeExport() {
-    try {
-      this.state = StateManager.load();
-      if (!this.state) return;
-
-      this.progressUI.show('Resuming export...');
-      await sleep(500);
-      await this.processCurrentPage();
-    } catch (error) {
-      console.error('Resume failed:', error);
-      this.handleError(error);
+  async exportSelected(format, options = {}) {
+    const selected = await SelectionStore.getArticles();
+    if (selected.length === 0) {
+      this.clearExistingExport();
+      this.handleError(new Error('No articles selected'));
+      return;
     }
-  }
 
-  /**
-   * Initialize export state
-   * @param {string} format - Export format
-   */
-  initializeState(format) {
-    this.state = {
+    await this.startJob({
       format,
-      articles: [],
-      processedPages: new Set(),
-      totalArticles: PageNavigator.getTotalArticlesEstimate(),
-      startTime: new Date()
-    };
+      options,
+      searchUrl: PageNavigator.getSearchUrl(),
+      searchState: PageNavigator.getSearchState(),
+      articles: selected
+    }, `Exporting ${selected.length} selected articles...`);
   }
 
   /**
-   * Process current page articles
+   * Ask the service worker to start a job and show its progress here
+   * @param {Object} request - Job request (format, options, searchUrl, searchState, articles)
+   * @param {string} message - Initial overlay message
    */
-  async processCurrentPage() {
-    if (!this.state) return;
-
-    this.setProcessingTimeout();
-    
-    const currentPage = PageNavigator.getCurrentPage();
-    const articles = ArticleExtractor.extractFromPage();
-
-    if (articles.length > 0) {
-      this.state.articles.push(...articles);
-      this.state.processedPages.add(currentPage);
-      StateManager.save(this.state);
-    }
+  async startJob(request, message) {
+    try {
+      this.clearExistingExport();
+      this.progressUI.show(message);
 
-    this.updateProgress();
+      const response = await chrome.runtime.sendMessage({ action: 'startJob', ...request });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to start export process');
+      }
 
-    if (this.shouldContinueToNextPage(currentPage)) {
-      await this.navigateToNextPage();
-    } else {
-      await this.completeExport();
+      this.jobId = response.job.id;
+      this.handleJobUpdate(response.job);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.handleError(error);
     }
   }
 
   /**
-   * Check if should continue to next page
-   * @param {number} currentPage - Current page number
-   * @returns {boolean} True if should continue
-   */
-  shouldContinueToNextPage(currentPage) {
-    const nextPage = currentPage + 1;
-    return PageNavigator.hasNextPage() && !this.state.processedPages.has(nextPage);
-  }
-
-  /**
-   * Navigate to next page
+   * Reattach the overlay to a job started from this tab (e.g. after a reload)
    */
-  async navigateToNextPage() {
-    this.progressUI.updateStatus('Navigating to next page...', this.calculateProgress());
-    await sleep(NAV_DELAY);
-    PageNavigator.goToNextPage();
-  }
+  async attachToActiveJob() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getJob' });
+      if (!response || !response.job || !response.ownedBySender) return;
+      if (FINISHED_JOB_STATUSES.has(response.job.status)) return;
 
-  /**
-   * Complete export process
-   */
-  async completeExport() {
-    this.clearProcessingTimeout();
-    
-    if (this.state.articles.length === 0) {
-      this.handleError(new Error('No articles found to export'));
-      return;
+      this.jobId = response.job.id;
+      this.progressUI.show('Resuming export...');
+      this.handleJobUpdate(response.job);
+    } catch (error) {
+      console.debug('No active export job:', error.message);
     }
-
-    this.progressUI.updateStatus('Generating file...', 95);
-
-    const content = this.generateExportContent();
-    const filename = FileDownloader.generateFilename(this.state.format);
-    
-    FileDownloader.download(content, filename);
-    
-    const message = `✅ Successfully exported ${this.state.articles.length} articles!`;
-    this.progressUI.updateStatus(message, 100);
-    this.progressUI.hide();
-    
-    StateManager.clear();
-  }
-
-  /**
-   * Generate export content based on format
-   * @returns {string} Formatted content
-   */
-  generateExportContent() {
-    return this.state.format === 'ris'
-      ? FormatConverter.toRIS(this.state.articles)
-      : FormatConverter.toBibTeX(this.state.articles);
   }
 
   /**
-   * Update progress UI
+   * Reflect a job update from the service worker in the overlay
+   * @param {ExportJobSummary} job - Job summary
    */
-  updateProgress() {
-    const progress = this.calculateProgress();
-    const message = `Collected ${this.state.articles.length} articles from ${this.state.processedPages.size} pages`;
-    this.progressUI.updateStatus(message, progress);
+  handleJobUpdate(job) {
+    if (!job || (this.jobId && job.id !== this.jobId)) return;
+
+    this.jobId = job.id;
+    this.progressUI.show(job.message);
+    this.progressUI.updateStatus(job.message, job.progress);
+    this.progressUI.updateJob(job);
+
+    // A failed job with collected records stays open so they can be saved,
+    // and any finished job with an extraction report so it can be read
+    const keepOpen = (job.status === 'failed' && job.articleCount > 0) ||
+      (['completed', 'failed'].includes(job.status) && Boolean(job.coverage));
+
+    if (FINISHED_JOB_STATUSES.has(job.status) && !keepOpen) {
+      this.progressUI.hide(job.status === 'completed' ? 2000 : 4000);
+      this.jobId = null;
+    }
   }
 
   /**
-   * Calculate progress percentage
-   * @returns {number} Progress percentage
+   * Send an overlay control action for the current job to the service worker
+   * @param {string} action - pauseJob|resumeJob|cancelJob|downloadPartial|downloadReport|dismiss
    */
-  calculateProgress() {
-    if (this.state.totalArticles <= 0) {
-      return Math.min(90, this.state.processedPages.size * 10);
+  async controlJob(action) {
+    if (action === 'dismiss') {
+      this.jobId = null;
+      this.progressUI.remove();
+      return;
     }
-    return Math.min(90, (this.state.articles.length / this.state.totalArticles) * 100);
-  }
+    if (!this.jobId) return;
 
-  /**
-   * Set processing timeout
-   */
-  setProcessingTimeout() {
-    this.clearProcessingTimeout();
-    this.processingTimeout = setTimeout(() => {
-      this.handleError(new Error('Export timed out'));
-    }, PROCESSING_TIMEOUT);
-  }
+    try {
+      const response = await chrome.runtime.sendMessage({ action, jobId: this.jobId });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Export control failed');
+      }
 
-  /**
-   * Clear processing timeout
-   */
-  clearProcessingTimeout() {
-    if (this.processingTimeout) {
-      clearTimeout(this.processingTimeout);
-      this.processingTimeout = null;
+      if (action === 'downloadPartial' || action === 'downloadReport') {
+        this.progressUI.updateStatus(`📥 Downloaded ${response.filename}`, response.job.progress);
+      } else {
+        this.handleJobUpdate(response.job);
+      }
+    } catch (error) {
+      console.error('Export control failed:', error);
+      this.progressUI.updateStatus(`❌ ${error.message}`, this.progressUI.job ? this.progressUI.job.progress : 0);
     }
   }
 
@@ -838,44 +1692,120 @@ class ExportController {
    * @param {Error} error - Error object
    */
   handleError(error) {
-    this.clearProcessingTimeout();
+    this.jobId = null;
     
     const message = `❌ Export failed: ${error.message}`;
+    this.progressUI.show(message);
     this.progressUI.updateStatus(message, 0);
     this.progressUI.hide(4000);
     
-    StateManager.clear();
     console.error('CAPES Export Error:', error);
   }
 
   /**
-   * Clear any existing export state
+   * Remove any overlay left over from a previous export
    */
   clearExistingExport() {
-    this.clearProcessingTimeout();
-    StateManager.clear();
-    
     const existingOverlay = $('.capes-export-overlay');
     if (existingOverlay) {
       existingOverlay.remove();
     }
+    this.progressUI.remove();
   }
 }
 
 // === INITIALIZATION ===
 
-const exportController = new ExportController();
+/**
+ * Wire the content script into the page: message handling, selection
+ * checkboxes, library badges and reattaching to a running export
+ */
+const initContentScript = () => {
+  const exportController = new ExportController();
+  const selectionUI = new SelectionUI(exportController);
+  const libraryBadgeUI = new LibraryBadgeUI();
+
+  // Message handler for popup and service worker communication
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'export' && message.format) {
+      exportController.startExport(message.format, message.options || {});
+      sendResponse({ success: true });
+    }
 
-// Message handler for popup communication
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'export' && message.format) {
-    exportController.startExport(message.format);
-    sendResponse({ success: true });
-  }
-  return true;
-});
+    if (message.action === 'exportSelected' && message.format) {
+      exportController.exportSelected(message.format, message.options || {});
+      sendResponse({ success: true });
+    }
 
-// Resume export on page load if state exists
-if (StateManager.load()) {
-  exportController.resumeExport();
-}
\ No newline at end of file
+    if (message.action === 'getSelection') {
+      SelectionStore.getArticles()
+        .then(articles => sendResponse({ count: articles.length }))
+        .catch(() => sendResponse({ count: 0 }));
+    }
+
+    if (message.action === 'jobUpdate') {
+      exportController.handleJobUpdate(message.job);
+    }
+
+    // Popup checks that the selector profile still matches this page
+    if (message.action === 'checkSelectors') {
+      selectorState.ready
+        .then(() => PageNavigator.waitForResults())
+        .then(() => sendResponse({ success: true, report: SelectorProfile.selfCheck() }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    }
+
+    // Off-screen page loader asks this tab to extract its results
+    if (message.action === 'extractPage') {
+      selectorState.ready.then(() => PageNavigator.waitForResults()).then(() => {
+        const result = ArticleExtractor.extractPageResult();
+        if (message.page && result.page !== message.page) {
+          sendResponse({ success: false, error: `Expected page ${message.page}, found ${result.page}` });
+          return;
+        }
+        sendResponse({ success: true, result });
+      }).catch(error => sendResponse({ success: false, error: error.message }));
+    }
+
+    // Off-screen page loader asks this tab to fetch detail pages
+    if (message.action === 'enrichArticles' && Array.isArray(message.articles)) {
+      DetailEnricher.enrichAll(message.articles)
+        .then(() => sendResponse({ success: true, articles: message.articles }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+    }
+    return true;
+  });
+
+  selectorState.ready = SelectorProfile.load();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SELECTOR_PROFILE_KEY]) {
+      selectorState.ready = SelectorProfile.load();
+    }
+  });
+
+  selectionUI.init();
+  libraryBadgeUI.init();
+
+  // Reattach to an export that was running in this tab before a reload
+  exportController.attachToActiveJob();
+};
+
+// === MODULE EXPORTS ===
+
+// Node (the test suite) requires the classes; the browser runs the content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_SELECTOR_PROFILE,
+    selectorState,
+    SelectorProfile,
+    PageNavigator,
+    CardMetadataParser,
+    ArticleExtractor,
+    DetailEnricher,
+    SelectionStore,
+    ProgressUI,
+    ExportController
+  };
+} else {
+  initContentScript();
+}
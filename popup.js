@@ -17,10 +17,50 @@ const STATUS_TIMEOUT = 4000;
 /** @const {number} Button state reset timeout in milliseconds */
 const BUTTON_RESET_TIMEOUT = 3000;
 
+/** @const {string} Storage key for persisted popup settings */
+const SETTINGS_KEY = 'capes_settings';
+
+/** @const {string} Storage key for the selector profile override (shared with content script) */
+const SELECTOR_PROFILE_KEY = 'capes_selector_profile';
+
+/** @const {Object<string, string>} Readable names of the fields the selector self-check covers */
+const SELECTOR_FIELD_LABELS = {
+  article: 'result cards',
+  title: 'titles',
+  authors: 'authors',
+  year: 'years',
+  journal: 'journals'
+};
+
+/** @const {Set<string>} Job statuses that can no longer be controlled */
+const FINISHED_JOB_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+/** @const {Object} Default popup settings */
+const DEFAULT_SETTINGS = {
+  format: 'ris',
+  enrich: false,
+  asciiSafe: false,
+  writeManifest: false,
+  libraryMode: 'include',
+  collection: '',
+  citeKeyPattern: '[auth][year][shorttitle]',
+  pageRetries: 3
+};
+
 // === DOM REFERENCES ===
 
 const elements = {
   exportBtn: null,
+  exportSelectedBtn: null,
+  historyToggle: null,
+  historyView: null,
+  historyList: null,
+  savedSearchList: null,
+  exportView: null,
+  savedSearchPanel: null,
+  jobPanel: null,
+  jobMessage: null,
+  jobProgress: null,
   statusMessage: null,
   requirements: null,
   buttonText: null
@@ -30,13 +70,114 @@ const elements = {
 
 /**
  * Get selected export format
- * @returns {string} Selected format (ris|bibtex)
+ * @returns {string} Selected format (ris|bibtex|csljson|endnote|refworks|csv|xlsx)
  */
 const getSelectedFormat = () => {
   const checked = document.querySelector('input[name="format"]:checked');
   return checked ? checked.value : 'ris';
 };
 
+/**
+ * Check whether an option checkbox is ticked
+ * @param {string} id - Checkbox element id
+ * @returns {boolean} True if checked
+ */
+const isOptionChecked = (id) => {
+  const checkbox = document.getElementById(id);
+  return Boolean(checkbox && checkbox.checked);
+};
+
+/**
+ * Get the citation key pattern entered in the popup
+ * @returns {string} Citation key pattern
+ */
+const getCiteKeyPattern = () => {
+  const input = document.getElementById('option-citekey-pattern');
+  const pattern = input ? input.value.trim() : '';
+  return pattern || DEFAULT_SETTINGS.citeKeyPattern;
+};
+
+/**
+ * Read a numeric limit field
+ * @param {string} id - Input element id
+ * @returns {number} Positive integer or 0 when empty
+ */
+const getLimitValue = (id) => {
+  const input = document.getElementById(id);
+  const value = input ? parseInt(input.value, 10) : 0;
+  return value > 0 ? value : 0;
+};
+
+/**
+ * Read the page retry count (0 is a valid value)
+ * @returns {number} Retries per results page
+ */
+const getPageRetries = () => {
+  const input = document.getElementById('option-page-retries');
+  const value = input ? parseInt(input.value, 10) : NaN;
+  return Number.isNaN(value) ? DEFAULT_SETTINGS.pageRetries : Math.max(0, value);
+};
+
+/**
+ * Read a text field
+ * @param {string} id - Input element id
+ * @returns {string} Trimmed value
+ */
+const getTextValue = (id) => {
+  const input = document.getElementById(id);
+  return input ? input.value.trim() : '';
+};
+
+/**
+ * Collect the record filters from the filter panel
+ * @returns {Object} Record filters
+ */
+const getRecordFilters = () => ({
+  yearFrom: getLimitValue('filter-year-from'),
+  yearTo: getLimitValue('filter-year-to'),
+  openAccessOnly: isOptionChecked('filter-open-access'),
+  peerReviewedOnly: isOptionChecked('filter-peer-reviewed'),
+  documentTypes: Array.from(document.querySelectorAll('#filter-document-types input:checked'))
+    .map(input => input.value),
+  includeKeywords: getTextValue('filter-include'),
+  excludeKeywords: getTextValue('filter-exclude')
+});
+
+/**
+ * Collect export options from the popup
+ * @returns {Object} Export options
+ */
+const getExportOptions = () => ({
+  enrich: isOptionChecked('option-enrich'),
+  asciiSafe: isOptionChecked('option-ascii-safe'),
+  writeManifest: isOptionChecked('option-write-manifest'),
+  libraryMode: document.getElementById('option-library-mode').value,
+  citeKeyPattern: getCiteKeyPattern(),
+  startPage: getLimitValue('limit-start-page'),
+  endPage: getLimitValue('limit-end-page'),
+  maxArticles: getLimitValue('limit-max-articles'),
+  pageRetries: getPageRetries(),
+  onlyNew: isOptionChecked('option-only-new'),
+  filters: getRecordFilters(),
+  collection: getTextValue('option-collection')
+});
+
+/**
+ * Validate page range, record limits and year range
+ * @param {Object} options - Export options
+ * @throws {Error} When the range is inconsistent
+ */
+const validateLimits = (options) => {
+  if (options.endPage && options.endPage < (options.startPage || 1)) {
+    throw new Error('End page must not be before start page');
+  }
+
+  const { yearFrom, yearTo } = options.filters || {};
+  if (yearFrom && yearTo && yearTo < yearFrom) {
+    throw new Error('"Year to" must not be before "Year from"');
+  }
+};
+
 /**
  * Show status message with animation
  * @param {string} message - Message to display
@@ -110,6 +251,71 @@ const resetButtonState = () => {
   }, BUTTON_RESET_TIMEOUT);
 };
 
+// === SETTINGS ===
+
+/**
+ * Load persisted settings
+ * @returns {Promise<Object>} Settings merged over defaults
+ */
+const loadSettings = async () => {
+  try {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...stored[SETTINGS_KEY] };
+  } catch (error) {
+    console.warn('Failed to load settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Persist current popup settings
+ * @returns {Promise<void>}
+ */
+const saveSettings = async () => {
+  try {
+    const {
+      enrich, asciiSafe, writeManifest, libraryMode, collection, citeKeyPattern, pageRetries
+    } = getExportOptions();
+    const settings = {
+      format: getSelectedFormat(),
+      enrich, asciiSafe, writeManifest, libraryMode, collection, citeKeyPattern, pageRetries
+    };
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  } catch (error) {
+    console.warn('Failed to save settings:', error);
+  }
+};
+
+/**
+ * Apply settings to popup controls
+ * @param {Object} settings - Settings to apply
+ */
+const applySettings = (settings) => {
+  const formatInput = document.querySelector(`input[name="format"][value="${settings.format}"]`);
+  if (formatInput) formatInput.checked = true;
+
+  const enrich = document.getElementById('option-enrich');
+  if (enrich) enrich.checked = Boolean(settings.enrich);
+
+  const asciiSafe = document.getElementById('option-ascii-safe');
+  if (asciiSafe) asciiSafe.checked = Boolean(settings.asciiSafe);
+
+  const writeManifest = document.getElementById('option-write-manifest');
+  if (writeManifest) writeManifest.checked = Boolean(settings.writeManifest);
+
+  const libraryMode = document.getElementById('option-library-mode');
+  if (libraryMode) libraryMode.value = settings.libraryMode;
+
+  const collection = document.getElementById('option-collection');
+  if (collection) collection.value = settings.collection;
+
+  const pattern = document.getElementById('option-citekey-pattern');
+  if (pattern) pattern.value = settings.citeKeyPattern;
+
+  const pageRetries = document.getElementById('option-page-retries');
+  if (pageRetries) pageRetries.value = settings.pageRetries;
+};
+
 // === VALIDATION ===
 
 /**
@@ -142,11 +348,47 @@ const validateCurrentTab = async (tab) => {
 
 // === EXPORT HANDLER ===
 
+/**
+ * Show or hide the "Export selected" button for the current selection
+ * @param {number} count - Number of selected articles
+ */
+const updateSelectedButton = (count) => {
+  if (!elements.exportSelectedBtn) return;
+
+  elements.exportSelectedBtn.hidden = count === 0;
+  elements.exportSelectedBtn.textContent = `☑️ Export Selected (${count})`;
+};
+
+/**
+ * Query the content script for the number of selected articles
+ * @param {chrome.tabs.Tab} tab - Current CAPES tab
+ */
+const refreshSelectionCount = async (tab) => {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelection' });
+    updateSelectedButton(response ? response.count : 0);
+  } catch (error) {
+    updateSelectedButton(0);
+  }
+};
+
 /**
  * Handle export process
  * @param {string} format - Export format
+ * @param {Object} options - Export options
+ * @param {boolean} options.enrich - Fetch detail pages for full metadata
+ * @param {boolean} options.asciiSafe - Encode BibTeX accents as LaTeX
+ * @param {boolean} options.writeManifest - Download a JSON manifest of the search
+ * @param {string} options.citeKeyPattern - BibTeX citation key pattern
+ * @param {number} options.startPage - First results page (0 = current)
+ * @param {number} options.endPage - Last results page (0 = no limit)
+ * @param {number} options.maxArticles - Maximum records (0 = no limit)
+ * @param {number} options.pageRetries - Retries per results page before skipping it
+ * @param {boolean} options.onlyNew - Leave out records exported before for the saved search
+ * @param {Object} options.filters - Record filters (years, access, types, title keywords)
+ * @param {string} action - Content script action (export|exportSelected)
  */
-const handleExport = async (format) => {
+const handleExport = async (format, options = {}, action = 'export') => {
   try {
     setButtonLoading(true);
     hideStatus();
@@ -159,15 +401,18 @@ const handleExport = async (format) => {
 
     // Validate tab compatibility
     await validateCurrentTab(tab);
+    validateLimits(options);
 
     // Send export message to content script
     const response = await chrome.tabs.sendMessage(tab.id, {
-      action: 'export',
-      format: format
+      action,
+      format: format,
+      options
     });
 
     if (response && response.success) {
       showStatus('✅ Export started! Check the page for progress', 'success');
+      await refreshJob();
     } else {
       throw new Error('Failed to start export process');
     }
@@ -190,6 +435,726 @@ const handleExport = async (format) => {
   }
 };
 
+// === JOB CONTROL ===
+
+/**
+ * Show the state of the current export job
+ * @param {?Object} job - Job summary from the service worker
+ */
+const renderJob = (job) => {
+  if (!elements.jobPanel) return;
+
+  // Finished jobs only stay visible if they failed and can be retried
+  const visible = Boolean(job) && (!FINISHED_JOB_STATUSES.has(job.status) || job.status === 'failed');
+  elements.jobPanel.hidden = !visible;
+  if (!visible) return;
+
+  elements.jobPanel.dataset.jobId = job.id;
+  elements.jobMessage.textContent = job.query ? `"${job.query}": ${job.message}` : job.message;
+  elements.jobProgress.style.width = `${job.progress}%`;
+
+  document.getElementById('pauseJobBtn').hidden = job.status !== 'running';
+  document.getElementById('resumeJobBtn').hidden = job.status === 'running';
+  document.getElementById('downloadJobBtn').hidden = job.articleCount === 0;
+  document.getElementById('cancelJobBtn').hidden = job.status === 'failed';
+};
+
+/**
+ * Fetch the most recent job from the service worker
+ */
+const refreshJob = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getJob' });
+    renderJob(response ? response.job : null);
+  } catch (error) {
+    console.debug('No export job:', error.message);
+  }
+};
+
+/**
+ * Handle Pause/Resume/Download/Cancel button clicks
+ * @param {Event} event - Click event
+ */
+const handleJobControlClick = async (event) => {
+  const { action } = event.currentTarget.dataset;
+  const jobId = elements.jobPanel.dataset.jobId;
+
+  try {
+    // A resumed job reports its progress in the active tab when it's a CAPES page
+    const tabId = await getCapesTabId();
+    const response = await chrome.runtime.sendMessage({ action, jobId, tabId });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Job control failed');
+    }
+    renderJob(response.job);
+
+    if (response.filename) {
+      showStatus(`📥 Downloaded ${response.filename}`, 'success');
+    }
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === SAVED SEARCHES ===
+
+/**
+ * Show whether the current search is saved and what was exported for it
+ * @param {?Object} search - Saved search summary, or null when not saved
+ */
+const renderSavedSearch = (search) => {
+  const panel = elements.savedSearchPanel;
+  if (!panel) return;
+
+  panel.hidden = false;
+  document.getElementById('saveSearchBtn').hidden = Boolean(search);
+  document.getElementById('deleteSearchBtn').hidden = !search;
+  document.getElementById('onlyNewToggle').hidden = !search;
+
+  const onlyNew = document.getElementById('option-only-new');
+  if (!search) onlyNew.checked = false;
+
+  const info = document.getElementById('savedSearchInfo');
+  if (!search) {
+    info.textContent = 'Save this search to export only new results next time.';
+  } else if (search.lastExportDate) {
+    info.textContent = `${search.seenCount} records exported so far · last export ` +
+      `${new Date(search.lastExportDate).toLocaleDateString()} (${search.lastNewCount} new)`;
+  } else {
+    info.textContent = 'Saved. The next export records which results you already have.';
+  }
+  if (search && search.pendingCount > 0) {
+    info.textContent += ` · 🆕 ${search.pendingCount} new results ready in History`;
+  }
+  panel.dataset.searchId = search ? search.id : '';
+};
+
+/**
+ * Load the saved search for a results page
+ * @param {string} url - Results page URL
+ */
+const refreshSavedSearch = async (url) => {
+  if (!elements.savedSearchPanel) return;
+  elements.savedSearchPanel.dataset.url = url;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSavedSearch', url });
+    renderSavedSearch(response && response.success ? response.search : null);
+  } catch (error) {
+    console.debug('Saved search unavailable:', error.message);
+  }
+};
+
+/**
+ * Save or forget the current search
+ * @param {string} action - saveSearch|deleteSavedSearch
+ */
+const handleSavedSearchAction = async (action) => {
+  const { url, searchId } = elements.savedSearchPanel.dataset;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action, url, searchId });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Saved search action failed');
+    }
+    renderSavedSearch(response.search);
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === HISTORY ===
+
+/**
+ * Get the active tab if it is a CAPES page
+ * @returns {Promise<number|undefined>} Tab id, or undefined elsewhere
+ */
+const getCapesTabId = async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab && tab.url && tab.url.includes(CAPES_DOMAIN) ? tab.id : undefined;
+};
+
+/**
+ * Describe a history entry's search filters
+ * @param {Object<string, string>} filters - Filter values by parameter name
+ * @returns {string} Filter summary or empty string
+ */
+const describeFilters = (filters = {}) => Object.entries(filters)
+  .map(([key, value]) => `${key}: ${value}`)
+  .join('; ');
+
+/**
+ * Build the format picker for a history entry from the popup's format options
+ * @param {string} selected - Format to preselect
+ * @returns {HTMLSelectElement} Format select
+ */
+const createFormatSelect = (selected) => {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Format');
+
+  document.querySelectorAll('input[name="format"]').forEach(input => {
+    const option = document.createElement('option');
+    option.value = input.value;
+    option.textContent = document.querySelector(`label[for="${input.id}"]`).textContent;
+    option.selected = input.value === selected;
+    select.appendChild(option);
+  });
+
+  return select;
+};
+
+/**
+ * Create a small action button for a history entry
+ * @param {string} label - Button label
+ * @param {string} title - Tooltip
+ * @param {function(): void} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+const createHistoryButton = (label, title, onClick) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'job-button';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+/**
+ * Render one history entry
+ * @param {Object} entry - History entry (without articles)
+ * @returns {HTMLLIElement} List item
+ */
+const createHistoryItem = (entry) => {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const query = document.createElement('div');
+  query.className = 'history-query';
+  query.textContent = entry.query ? `"${entry.query}"` : '(no query)';
+
+  const details = [
+    new Date(entry.date).toLocaleString(),
+    `${entry.count} records`,
+    entry.fromSelection ? 'selected only' : '',
+    entry.partial ? 'partial' : '',
+    describeFilters(entry.filters)
+  ].filter(Boolean);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = details.join(' · ');
+
+  const formatSelect = createFormatSelect(entry.format);
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.appendChild(formatSelect);
+  actions.appendChild(createHistoryButton('📥', 'Download again in this format',
+    () => handleHistoryAction('redownloadHistory', entry, formatSelect.value)));
+  if (entry.hasReport) {
+    actions.appendChild(createHistoryButton('📊', 'Download the extraction report (JSON)',
+      () => handleHistoryAction('downloadHistoryReport', entry)));
+  }
+  if (!entry.fromSelection) {
+    actions.appendChild(createHistoryButton('🔄', 'Run this search again',
+      () => handleHistoryAction('rerunHistory', entry, formatSelect.value)));
+  }
+  actions.appendChild(createHistoryButton('🗑️', 'Delete from history',
+    () => handleHistoryAction('deleteHistory', entry)));
+
+  item.appendChild(query);
+  item.appendChild(meta);
+  item.appendChild(actions);
+  return item;
+};
+
+/**
+ * Load and render the export history
+ */
+const refreshHistory = async () => {
+  if (!elements.historyList) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getHistory' });
+    const entries = response && response.success ? response.entries : [];
+
+    elements.historyList.replaceChildren(...entries.map(createHistoryItem));
+    document.getElementById('historyEmpty').hidden = entries.length > 0;
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+/**
+ * Run a history action (re-download, report, re-run or delete)
+ * @param {string} action - redownloadHistory|downloadHistoryReport|rerunHistory|deleteHistory
+ * @param {Object} entry - History entry
+ * @param {string} [format] - Output format
+ */
+const handleHistoryAction = async (action, entry, format) => {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action,
+      entryId: entry.id,
+      format,
+      tabId: action === 'rerunHistory' ? await getCapesTabId() : undefined
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'History action failed');
+    }
+
+    if (action === 'redownloadHistory' || action === 'downloadHistoryReport') {
+      showStatus(`📥 Downloaded ${response.filename}`, 'success');
+    } else if (action === 'rerunHistory') {
+      renderJob(response.job);
+      showStatus('🔄 Search started again in the background', 'success');
+    } else {
+      await refreshHistory();
+    }
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+/**
+ * Render one saved search with its pending new records
+ * @param {Object} search - Saved search summary
+ * @returns {HTMLLIElement} List item
+ */
+const createSavedSearchItem = (search) => {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const query = document.createElement('div');
+  query.className = 'history-query';
+  query.textContent = search.query ? `"${search.query}"` : '(no query)';
+
+  const details = [
+    search.pendingCount > 0 ? `🆕 ${search.pendingCount} new` : 'no new results',
+    `${search.seenCount} exported`,
+    search.lastCheckedDate ? `checked ${new Date(search.lastCheckedDate).toLocaleString()}` : '',
+    describeFilters(search.filters)
+  ].filter(Boolean);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = details.join(' · ');
+
+  const formatSelect = createFormatSelect(getSelectedFormat());
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.appendChild(formatSelect);
+  if (search.pendingCount > 0) {
+    actions.appendChild(createHistoryButton(`📥 ${search.pendingCount}`, 'Export the new results',
+      () => handleSavedSearchListAction('exportPending', search, formatSelect.value)));
+  }
+  actions.appendChild(createHistoryButton('🗑️', 'Forget this search',
+    () => handleSavedSearchListAction('deleteSavedSearch', search)));
+
+  item.appendChild(query);
+  item.appendChild(meta);
+  item.appendChild(actions);
+  return item;
+};
+
+/**
+ * Load and render all saved searches
+ */
+const refreshSavedSearchList = async () => {
+  if (!elements.savedSearchList) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'listSavedSearches' });
+    const searches = response && response.success ? response.searches : [];
+
+    elements.savedSearchList.replaceChildren(...searches.map(createSavedSearchItem));
+    document.getElementById('savedSearchEmpty').hidden = searches.length > 0;
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+/**
+ * Export pending results of, or forget, a saved search from the list
+ * @param {string} action - exportPending|deleteSavedSearch
+ * @param {Object} search - Saved search summary
+ * @param {string} [format] - Output format
+ */
+const handleSavedSearchListAction = async (action, search, format) => {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action,
+      searchId: search.id,
+      format,
+      tabId: action === 'exportPending' ? await getCapesTabId() : undefined
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Saved search action failed');
+    }
+
+    if (response.job) {
+      renderJob(response.job);
+    }
+    await refreshSavedSearchList();
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === COLLECTIONS ===
+
+/**
+ * Render one named collection
+ * @param {Object} collection - Collection summary
+ * @returns {HTMLLIElement} List item
+ */
+const createCollectionItem = (collection) => {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const name = document.createElement('div');
+  name.className = 'history-query';
+  name.textContent = `📚 ${collection.name}`;
+
+  const details = [
+    `${collection.articleCount} records`,
+    collection.duplicatesMerged > 0 ? `${collection.duplicatesMerged} duplicates merged` : '',
+    `updated ${new Date(collection.updatedAt).toLocaleString()}`,
+    collection.queries.map(query => `"${query}"`).join(', ')
+  ].filter(Boolean);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-meta';
+  meta.textContent = details.join(' · ');
+
+  const formatSelect = createFormatSelect(getSelectedFormat());
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.appendChild(formatSelect);
+  actions.appendChild(createHistoryButton('📥', 'Download the whole collection',
+    () => handleCollectionAction('downloadCollection', collection, formatSelect.value)));
+  actions.appendChild(createHistoryButton('🗑️', 'Delete this collection',
+    () => handleCollectionAction('deleteCollection', collection)));
+
+  item.appendChild(name);
+  item.appendChild(meta);
+  item.appendChild(actions);
+  return item;
+};
+
+/**
+ * Load collections into the history view and the collection name suggestions
+ */
+const refreshCollections = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'listCollections' });
+    const collections = response && response.success ? response.collections : [];
+
+    document.getElementById('collectionList').replaceChildren(...collections.map(createCollectionItem));
+    document.getElementById('collectionEmpty').hidden = collections.length > 0;
+    document.getElementById('collectionNames').replaceChildren(...collections.map(collection => {
+      const option = document.createElement('option');
+      option.value = collection.name;
+      return option;
+    }));
+  } catch (error) {
+    console.debug('Collections unavailable:', error.message);
+  }
+};
+
+/**
+ * Download or delete a collection
+ * @param {string} action - downloadCollection|deleteCollection
+ * @param {Object} collection - Collection summary
+ * @param {string} [format] - Output format
+ */
+const handleCollectionAction = async (action, collection, format) => {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action,
+      collectionId: collection.id,
+      format,
+      options: getExportOptions()
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Collection action failed');
+    }
+
+    if (action === 'downloadCollection') {
+      showStatus(`📥 Downloaded ${response.filename}`, 'success');
+    } else {
+      await refreshCollections();
+    }
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === REFERENCE LIBRARY ===
+
+/**
+ * Show the imported library files
+ * @param {Object} library - Library summary
+ */
+const renderLibrary = (library) => {
+  const info = document.getElementById('libraryInfo');
+  const names = library.sources.map(source => source.name).join(', ');
+
+  info.textContent = library.sources.length === 0
+    ? 'No library imported. Import a .ris or .bib file to spot papers you already have.'
+    : `${library.recordCount} references from ${names}`;
+  document.getElementById('clearLibraryBtn').hidden = library.sources.length === 0;
+};
+
+/**
+ * Load the library summary
+ */
+const refreshLibrary = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getLibrary' });
+    if (response && response.success) renderLibrary(response.library);
+  } catch (error) {
+    console.debug('Library unavailable:', error.message);
+  }
+};
+
+/**
+ * Import the chosen RIS/BibTeX files into the library
+ * @param {Event} event - Change event of the file input
+ */
+const handleLibraryImport = async (event) => {
+  const input = event.currentTarget;
+
+  try {
+    for (const file of Array.from(input.files)) {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importLibrary',
+        name: file.name,
+        text: await file.text()
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || `Failed to import ${file.name}`);
+      }
+      renderLibrary(response.library);
+    }
+    showStatus('📚 Library imported', 'success');
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  } finally {
+    input.value = '';
+  }
+};
+
+/**
+ * Forget every imported library file
+ */
+const handleLibraryClear = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'clearLibrary' });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to clear library');
+    }
+    renderLibrary(response.library);
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === SELECTOR PROFILE ===
+
+/**
+ * Warn when the selector self-check found required fields missing
+ * @param {?Object} report - Self-check report from the content script
+ */
+const renderSelectorCheck = (report) => {
+  const warning = document.getElementById('selectorWarning');
+  const problems = [];
+
+  if (report && report.missing.length > 0) {
+    const fields = report.missing.map(field => SELECTOR_FIELD_LABELS[field] || field).join(', ');
+    problems.push(`⚠️ The CAPES page layout may have changed: ${fields} not found on this page `
+      + `(selector profile ${report.profileId} v${report.version}). Exports may be empty or incomplete.`);
+  }
+  if (report && report.overrideIgnored) {
+    problems.push(`Your selector override is older than the built-in profile v${report.builtInVersion} and is ignored.`);
+  }
+
+  warning.textContent = problems.join(' ');
+  warning.hidden = problems.length === 0;
+};
+
+/**
+ * Ask the CAPES tab to check its selectors against the loaded page
+ * @param {chrome.tabs.Tab} tab - Active tab
+ */
+const runSelectorCheck = async (tab) => {
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'checkSelectors' });
+    renderSelectorCheck(response && response.success ? response.report : null);
+  } catch (error) {
+    console.debug('Selector check unavailable:', error.message);
+  }
+};
+
+/**
+ * Parse and validate a selector profile override
+ * @param {string} text - Override JSON
+ * @returns {Object} Override
+ * @throws {Error} When the JSON or its shape is invalid
+ */
+const parseSelectorOverride = (text) => {
+  let override;
+  try {
+    override = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!override || typeof override !== 'object' || !Number.isInteger(override.version)) {
+    throw new Error('The override needs a whole-number "version"');
+  }
+  if (override.selectors !== undefined && (!override.selectors || typeof override.selectors !== 'object' ||
+      !Object.values(override.selectors).every(isStringList))) {
+    throw new Error('"selectors" must map field names to lists of CSS selectors');
+  }
+  if (override.metadata !== undefined && !isStringList(override.metadata)) {
+    throw new Error('"metadata" must be a list of patterns');
+  }
+  (override.metadata || []).forEach(pattern => new RegExp(pattern));
+
+  return override;
+};
+
+/**
+ * Show the stored selector profile override
+ */
+const loadSelectorOverride = async () => {
+  try {
+    const stored = await chrome.storage.local.get(SELECTOR_PROFILE_KEY);
+    const override = stored[SELECTOR_PROFILE_KEY];
+    document.getElementById('selectorOverride').value = override ? JSON.stringify(override, null, 2) : '';
+  } catch (error) {
+    console.debug('Selector override unavailable:', error.message);
+  }
+};
+
+/**
+ * Save the selector profile override (an empty editor resets it)
+ */
+const handleSelectorOverrideSave = async () => {
+  const text = document.getElementById('selectorOverride').value.trim();
+  if (!text) {
+    await handleSelectorOverrideReset();
+    return;
+  }
+
+  try {
+    const override = parseSelectorOverride(text);
+    await chrome.storage.local.set({ [SELECTOR_PROFILE_KEY]: override });
+    showStatus('✅ Selector profile saved', 'success');
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+/**
+ * Drop the selector profile override and use the built-in profile
+ */
+const handleSelectorOverrideReset = async () => {
+  try {
+    await chrome.storage.local.remove(SELECTOR_PROFILE_KEY);
+    document.getElementById('selectorOverride').value = '';
+    showStatus('✅ Using the built-in selector profile', 'success');
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+// === SCHEDULED CHECKS ===
+
+/**
+ * Show the scheduled check settings
+ */
+const loadScheduleControls = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSchedule' });
+    if (!response || !response.success) return;
+
+    const { schedule } = response;
+    document.getElementById('schedule-enabled').checked = schedule.enabled;
+    document.getElementById('schedule-frequency').value = String(schedule.frequencyHours);
+    document.getElementById('schedule-depth').value = schedule.pageDepth;
+  } catch (error) {
+    console.debug('Schedule unavailable:', error.message);
+  }
+};
+
+/**
+ * Save the scheduled check settings
+ */
+const handleScheduleChange = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveSchedule',
+      schedule: {
+        enabled: isOptionChecked('schedule-enabled'),
+        frequencyHours: document.getElementById('schedule-frequency').value,
+        pageDepth: getLimitValue('schedule-depth')
+      }
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Failed to save schedule');
+    }
+    document.getElementById('schedule-depth').value = response.schedule.pageDepth;
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  }
+};
+
+/**
+ * Check every saved search now
+ * @param {Event} event - Click event
+ */
+const handleCheckNowClick = async (event) => {
+  const button = event.currentTarget;
+  button.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'checkSavedSearches' });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Check failed');
+    }
+    showStatus(`🔍 ${response.found} new results found`, 'success');
+    await refreshSavedSearchList();
+  } catch (error) {
+    showStatus(`❌ Error: ${error.message}`, 'error', 6000);
+  } finally {
+    button.disabled = false;
+  }
+};
+
+/**
+ * Switch between the export form and the history view
+ */
+const toggleHistoryView = async () => {
+  const showHistory = elements.historyView.hidden;
+
+  elements.historyView.hidden = !showHistory;
+  elements.exportView.hidden = showHistory;
+  elements.historyToggle.setAttribute('aria-pressed', String(showHistory));
+  elements.historyToggle.textContent = showHistory ? '← Export' : '🕘 History';
+  hideStatus();
+
+  if (showHistory) {
+    await Promise.all([
+      refreshSavedSearchList(), refreshCollections(), loadScheduleControls(), refreshLibrary(),
+      refreshHistory(), loadSelectorOverride()
+    ]);
+  }
+};
+
 // === EVENT HANDLERS ===
 
 /**
@@ -205,7 +1170,22 @@ const handleExportClick = async (event) => {
   }
 
   const format = getSelectedFormat();
-  await handleExport(format);
+  await handleExport(format, getExportOptions());
+};
+
+/**
+ * Handle "Export selected" button click
+ * @param {Event} event - Click event
+ */
+const handleExportSelectedClick = async (event) => {
+  event.preventDefault();
+
+  if (elements.exportBtn.disabled) {
+    return;
+  }
+
+  const format = getSelectedFormat();
+  await handleExport(format, getExportOptions(), 'exportSelected');
 };
 
 /**
@@ -216,6 +1196,7 @@ const handleFormatChange = (event) => {
   // Optional: Add format-specific validation or UI updates
   hideStatus();
   hideRequirements();
+  saveSettings();
 };
 
 /**
@@ -230,12 +1211,16 @@ const handleKeyboardShortcuts = (event) => {
     handleExportClick(event);
   }
   
-  // Quick format switching with numbers
-  if (event.key === '1') {
-    document.getElementById('format-ris').checked = true;
-    handleFormatChange(event);
-  } else if (event.key === '2') {
-    document.getElementById('format-bibtex').checked = true;
+  // Don't hijack digits typed into form fields
+  if (event.target.matches('input[type="text"], input[type="number"], textarea, select')) {
+    return;
+  }
+
+  // Quick format switching with numbers (1 = first format, 2 = second, ...)
+  const formatInputs = document.querySelectorAll('input[name="format"]');
+  const formatIndex = parseInt(event.key, 10) - 1;
+  if (formatIndex >= 0 && formatIndex < formatInputs.length) {
+    formatInputs[formatIndex].checked = true;
     handleFormatChange(event);
   }
 };
@@ -247,6 +1232,16 @@ const handleKeyboardShortcuts = (event) => {
  */
 const cacheDOMElements = () => {
   elements.exportBtn = document.getElementById('exportBtn');
+  elements.exportSelectedBtn = document.getElementById('exportSelectedBtn');
+  elements.historyToggle = document.getElementById('historyToggle');
+  elements.historyView = document.getElementById('historyView');
+  elements.historyList = document.getElementById('historyList');
+  elements.savedSearchList = document.getElementById('savedSearchList');
+  elements.exportView = document.getElementById('exportView');
+  elements.savedSearchPanel = document.getElementById('savedSearchPanel');
+  elements.jobPanel = document.getElementById('jobPanel');
+  elements.jobMessage = document.getElementById('jobMessage');
+  elements.jobProgress = document.getElementById('jobProgress');
   elements.statusMessage = document.getElementById('statusMessage');
   elements.requirements = document.getElementById('requirements');
   elements.buttonText = elements.exportBtn?.querySelector('.button-text');
@@ -260,12 +1255,60 @@ const attachEventListeners = () => {
     elements.exportBtn.addEventListener('click', handleExportClick);
   }
 
+  if (elements.exportSelectedBtn) {
+    elements.exportSelectedBtn.addEventListener('click', handleExportSelectedClick);
+  }
+
+  if (elements.historyToggle) {
+    elements.historyToggle.addEventListener('click', toggleHistoryView);
+  }
+
+  document.querySelectorAll('.schedule-section input, .schedule-section select').forEach(input => {
+    input.addEventListener('change', handleScheduleChange);
+  });
+  document.getElementById('checkNowBtn').addEventListener('click', handleCheckNowClick);
+  document.getElementById('libraryFile').addEventListener('change', handleLibraryImport);
+  document.getElementById('clearLibraryBtn').addEventListener('click', handleLibraryClear);
+  document.getElementById('saveSelectorsBtn').addEventListener('click', handleSelectorOverrideSave);
+  document.getElementById('resetSelectorsBtn').addEventListener('click', handleSelectorOverrideReset);
+
+  document.getElementById('saveSearchBtn')
+    .addEventListener('click', () => handleSavedSearchAction('saveSearch'));
+  document.getElementById('deleteSearchBtn')
+    .addEventListener('click', () => handleSavedSearchAction('deleteSavedSearch'));
+
+  document.querySelectorAll('#jobPanel .job-button').forEach(button => {
+    button.addEventListener('click', handleJobControlClick);
+  });
+
+  // Live job progress from the service worker
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'jobUpdate') {
+      renderJob(message.job);
+      if (message.job.status === 'completed' && !elements.historyView.hidden) {
+        refreshHistory();
+        refreshSavedSearchList();
+      }
+      if (message.job.status === 'completed') {
+        refreshCollections();
+      }
+      if (message.job.status === 'completed' && elements.savedSearchPanel.dataset.url) {
+        refreshSavedSearch(elements.savedSearchPanel.dataset.url);
+      }
+    }
+  });
+
   // Format radio button change handlers
   const formatInputs = document.querySelectorAll('input[name="format"]');
   formatInputs.forEach(input => {
     input.addEventListener('change', handleFormatChange);
   });
 
+  // Persist option changes
+  document.querySelectorAll('.options-section input, .options-section select, #option-page-retries').forEach(input => {
+    input.addEventListener('change', saveSettings);
+  });
+
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyboardShortcuts);
 
@@ -288,6 +1331,9 @@ const performInitialValidation = async () => {
     });
     
     await validateCurrentTab(tab);
+    await refreshSelectionCount(tab);
+    await refreshSavedSearch(tab.url);
+    await runSelectorCheck(tab);
   } catch (error) {
     // Silently handle initial validation errors
     // Requirements will be shown by validateCurrentTab if needed
@@ -301,7 +1347,10 @@ const performInitialValidation = async () => {
 const initializePopup = async () => {
   try {
     cacheDOMElements();
+    applySettings(await loadSettings());
     attachEventListeners();
+    await refreshJob();
+    await refreshCollections();
     await performInitialValidation();
     
     // Set focus to export button for better keyboard navigation
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Golden-file tests for the RIS and BibTeX converters
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended change
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./helpers/dom');
+const { FormatConverter, CitationKeyGenerator } = require('../common.js');
+
+/** @const {string} Directory holding the expected converter output */
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * Compare output with a golden file (or rewrite it when UPDATE_GOLDEN is set)
+ * @param {string} name - Golden file name
+ * @param {string} actual - Converter output
+ */
+const assertGolden = (name, actual) => {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, actual);
+  }
+  assert.equal(actual, fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Load a fresh copy of the article fixtures
+ * @returns {Article[]} Articles
+ */
+const loadArticles = () => JSON.parse(readFixture('articles.json'));
+
+describe('FormatConverter.toRIS', () => {
+  test('matches the golden RIS file', () => {
+    assertGolden('articles.ris', FormatConverter.toRIS(loadArticles()));
+  });
+
+  test('uses CRLF line endings inside records', () => {
+    const [record] = FormatConverter.toRIS(loadArticles()).split('\n\n');
+    assert.match(record, /^TY {2}- JOUR\r\n/);
+    assert.match(record, /ER {2}- $/);
+  });
+});
+
+describe('FormatConverter.toBibTeX', () => {
+  test('matches the golden BibTeX file', () => {
+    assertGolden('articles.bib', FormatConverter.toBibTeX(loadArticles()));
+  });
+
+  test('matches the golden ASCII-safe BibTeX file', () => {
+    assertGolden('articles-ascii.bib', FormatConverter.toBibTeX(loadArticles(), { asciiSafe: true }));
+  });
+
+  test('honors a custom citation key pattern', () => {
+    const bibtex = FormatConverter.toBibTeX(loadArticles(), { citeKeyPattern: '[auth:upper]_[year]' });
+    assert.match(bibtex, /^@article\{SA_2017,/m);
+    assert.match(bibtex, /^@inbook\{BERG_2019,/m);
+  });
+});
+
+describe('CitationKeyGenerator.generateUnique', () => {
+  test('falls back to the CAPES id, then to suffixed "capes" keys, when the pattern resolves to nothing', () => {
+    const usedKeys = new Set();
+    const bare = { id: '', title: '', authors: [], year: '', journal: '' };
+
+    assert.equal(CitationKeyGenerator.generateUnique({ ...bare, id: 'W123' }, '[auth]', usedKeys), 'capesW123');
+    assert.equal(CitationKeyGenerator.generateUnique(bare, '[auth]', usedKeys), 'capes');
+    assert.equal(CitationKeyGenerator.generateUnique(bare, '[auth]', usedKeys), 'capesa');
+  });
+});
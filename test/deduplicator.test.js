@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests for merging duplicate records across result pages
+ */
+
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { Deduplicator } = require('../common.js');
+
+/**
+ * Build an article with default metadata
+ * @param {Partial<Article>} fields - Fields to set
+ * @returns {Article} Article
+ */
+const article = fields => ({
+  id: '',
+  title: 'Soil carbon stocks under no-tillage systems',
+  authors: [],
+  year: '2017',
+  journal: '',
+  doi: '',
+  isOpenAccess: false,
+  isPeerReviewed: false,
+  ...fields
+});
+
+describe('Deduplicator.deduplicate', () => {
+  test('merges records with the same id', () => {
+    const { articles, duplicates } = Deduplicator.deduplicate([
+      article({ id: 'W1', authors: ['Sá, João'] }),
+      article({ id: 'W1', authors: ['Sá, João'], doi: '10.1/abc' })
+    ]);
+
+    assert.equal(duplicates, 1);
+    assert.equal(articles.length, 1);
+    assert.equal(articles[0].doi, '10.1/abc');
+  });
+
+  test('merges the same title and year when the first authors agree', () => {
+    const { articles } = Deduplicator.deduplicate([
+      article({ id: 'W1', authors: ['Sá, João'] }),
+      article({ id: 'W2', authors: ['SA, J.'] })
+    ]);
+
+    assert.equal(articles.length, 1);
+    assert.deepEqual(articles[0].alternateIds, ['W2']);
+  });
+
+  test('keeps the same title apart when the first authors differ', () => {
+    const { articles } = Deduplicator.deduplicate([
+      article({ id: 'W1', authors: ['Sá, João'] }),
+      article({ id: 'W2', authors: ['Berg, Ana'] })
+    ]);
+
+    assert.equal(articles.length, 2);
+  });
+
+  test('keeps a record without authors apart unless the journal or DOI matches', () => {
+    const { articles } = Deduplicator.deduplicate([
+      article({ id: 'W1', authors: ['Sá, João'], journal: 'Geoderma' }),
+      article({ id: 'W2', journal: 'Catena' }),
+      article({ id: 'W3', journal: 'geoderma' })
+    ]);
+
+    assert.deepEqual(articles.map(kept => kept.id), ['W1', 'W2']);
+    assert.deepEqual(articles[0].alternateIds, ['W3']);
+  });
+
+  test('applies the same rule to records without a year', () => {
+    const { articles } = Deduplicator.deduplicate([
+      article({ id: 'W1', year: '', doi: '10.1/abc' }),
+      article({ id: 'W2', year: '' }),
+      article({ id: 'W3', year: '', doi: '10.1/ABC' })
+    ]);
+
+    assert.deepEqual(articles.map(kept => kept.id), ['W1', 'W2']);
+    assert.deepEqual(articles[0].alternateIds, ['W3']);
+  });
+});
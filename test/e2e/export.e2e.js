@@ -0,0 +1,354 @@
+/**
+ * @fileoverview End-to-end export against the mock CAPES portal
+ * Loads the unpacked extension in headless Chromium with the portal host
+ * mapped to the mock server, starts an export the way the popup does and
+ * waits for the service worker to complete the job and download the file.
+ * Also covers page load timeouts, rate-limited pages and a service worker
+ * restart in the middle of an export.
+ * Run with `npm run test:e2e`
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { CAPES_HOST, startMockCapesServer } = require('./mock-capes-server');
+
+/** @const {string} Unpacked extension directory */
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+
+/** @const {number} Longest an export may take, including forced retries */
+const EXPORT_TIMEOUT = 90000;
+
+/** @const {number} Interval between job and download checks */
+const POLL_INTERVAL = 250;
+
+/** @const {number} Response delay past the service worker's 30 s page load timeout */
+const STALLED_PAGE_DELAY = 35000;
+
+/** @const {string[]} Job statuses that end an export */
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Check whether a target is the extension's service worker
+ * @param {Target} target - Browser target
+ * @returns {boolean} True for the background service worker
+ */
+const isServiceWorker = target => target.type() === 'service_worker' && target.url().endsWith('/background.js');
+
+/**
+ * Wait until a check returns a truthy value
+ * @param {function(): Promise<*>} check - Check to repeat
+ * @param {string} description - What is awaited (for the timeout error)
+ * @returns {Promise<*>} The truthy value
+ */
+const waitFor = async (check, description) => {
+  const deadline = Date.now() + EXPORT_TIMEOUT;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+};
+
+describe('export against the mock CAPES portal', () => {
+  let server;
+  let browser;
+  let workerTarget;
+  let serviceWorker;
+  let downloadDir;
+
+  before(async () => {
+    server = await startMockCapesServer();
+    downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capes-e2e-'));
+
+    browser = await puppeteer.launch({
+      headless: true,
+      pipe: true,
+      enableExtensions: [EXTENSION_DIR],
+      args: [
+        `--host-resolver-rules=MAP ${CAPES_HOST} 127.0.0.1:${server.port}`,
+        '--ignore-certificate-errors',
+        // Chromium refuses to start its sandbox as root (containers, CI images)
+        ...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : [])
+      ]
+    });
+
+    const session = await browser.target().createCDPSession();
+    await session.send('Browser.setDownloadBehavior', { behavior: 'allow', downloadPath: downloadDir });
+
+    workerTarget = await browser.waitForTarget(isServiceWorker);
+    serviceWorker = await workerTarget.worker();
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+    if (downloadDir) fs.rmSync(downloadDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Read the jobs stored by the service worker
+   * @returns {Promise<Object[]>} Stored jobs
+   */
+  const readJobs = () => serviceWorker.evaluate(async () => {
+    const { capes_jobs: jobs = {} } = await chrome.storage.local.get('capes_jobs');
+    return Object.values(jobs);
+  });
+
+  /**
+   * Wait until a stored job matches a condition
+   * @param {function(Object): boolean} matches - Job condition
+   * @param {string} description - What is awaited (for the timeout error)
+   * @returns {Promise<Object>} Matching job
+   */
+  const waitForJob = (matches, description) => waitFor(async () => (await readJobs()).find(matches), description);
+
+  /**
+   * Open a search and start an export from its tab, as the popup does
+   * @param {string} query - Search query
+   * @param {string} format - Export format
+   * @param {ExportOptions} options - Export options
+   * @returns {Promise<{page: Page, isNew: function(Object): boolean}>} Search tab and a check for jobs started since
+   */
+  const startExport = async (query, format, options) => {
+    const previousIds = new Set((await readJobs()).map(job => job.id));
+
+    const page = await browser.newPage();
+    await page.goto(server.searchUrl(query));
+
+    await serviceWorker.evaluate(async (request) => {
+      const [tab] = await chrome.tabs.query({ url: `https://${request.host}/*`, active: true });
+      // The content script loads at document_idle, so the first messages may find nobody listening
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await chrome.tabs.sendMessage(tab.id, { action: 'export', format: request.format, options: request.options });
+        } catch (error) {
+          if (attempt === 20) throw error;
+          await new Promise(resolve => setTimeout(resolve, 250));
+        }
+      }
+    }, { host: CAPES_HOST, format, options });
+
+    return { page, isNew: job => !previousIds.has(job.id) };
+  };
+
+  /**
+   * Run an export to the end
+   * @param {string} query - Search query
+   * @param {string} format - Export format
+   * @param {ExportOptions} options - Export options
+   * @returns {Promise<Object>} Completed job as stored by the service worker
+   */
+  const runExport = async (query, format, options) => {
+    const { page, isNew } = await startExport(query, format, options);
+    const job = await waitForJob(stored => isNew(stored) && FINISHED_STATUSES.includes(stored.status),
+      'the export job to finish');
+
+    await page.close();
+    return job;
+  };
+
+  /**
+   * Open the extension popup in a tab
+   * @returns {Promise<Page>} Popup page
+   */
+  const openPopup = async () => {
+    const extensionId = new URL(workerTarget.url()).host;
+    const popup = await browser.newPage();
+    await popup.goto(`chrome-extension://${extensionId}/popup.html`);
+    return popup;
+  };
+
+  /**
+   * Stop the service worker and wait for the browser to start a new one
+   * Opening the popup sends it a message, which wakes the extension again
+   * @returns {Promise<Page>} Open popup page
+   */
+  const restartServiceWorker = async () => {
+    const stopped = workerTarget;
+    await serviceWorker.close();
+
+    const popup = await openPopup();
+
+    workerTarget = await browser.waitForTarget(target => target !== stopped && isServiceWorker(target));
+    serviceWorker = await workerTarget.worker();
+    return popup;
+  };
+
+  /**
+   * Wait for a job's export file to finish downloading
+   * @param {Object} job - Completed job
+   * @returns {Promise<string>} File content
+   */
+  const readDownload = async (job) => {
+    const file = path.join(downloadDir, job.filename);
+    await waitFor(() => fs.existsSync(file), `the download of ${job.filename}`);
+    return fs.readFileSync(file, 'utf8');
+  };
+
+  test('collects every page through slow pages, a failing page and repeated records', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 45,
+      pageSize: 20,
+      duplicates: 2,
+      slowPages: { 2: 1500 },
+      errorPages: { 3: 1 }
+    });
+
+    const job = await runExport('soil carbon', 'ris', { pageRetries: 1 });
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, false);
+    assert.deepEqual(job.processedPages, [1, 2, 3]);
+    assert.deepEqual(job.skippedPages, []);
+    assert.equal(job.totalArticles, 45);
+    assert.equal(job.articles.length, 45);
+    assert.equal(job.duplicatesMerged, 4);
+
+    const first = job.articles.find(article => article.id === 'W0000001');
+    assert.equal(first.date, '2011-02');
+    assert.equal(first.startPage, '10');
+    assert.equal(first.endPage, '19');
+    assert.equal(first.publisher, 'Elsevier');
+    assert.equal(first.language, 'en');
+    assert.equal(first.sourceIndex, 'Scopus');
+
+    assert.match(job.filename, /^capes_soil_carbon_.*\.ris$/);
+    const ris = await readDownload(job);
+    assert.equal(ris.match(/^TY {2}- /gm).length, 45);
+    assert.match(ris, /^TI {2}- Soil carbon stocks under no-tillage systems \(study 1\)\r$/m);
+
+    assert.deepEqual(
+      server.requests.filter(request => request.page === 3).map(request => request.status),
+      [500, 200]
+    );
+  });
+
+  test('skips a page that keeps failing and marks the export partial', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 60,
+      pageSize: 20,
+      errorPages: { 2: Infinity }
+    });
+
+    const job = await runExport('soil nitrogen', 'ris', { pageRetries: 0 });
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, true);
+    assert.deepEqual(job.processedPages, [1, 3]);
+    assert.deepEqual(job.skippedPages.map(skipped => skipped.page), [2]);
+    assert.equal(job.articles.length, 40);
+
+    assert.match(job.filename, /_partial\.ris$/);
+    const ris = await readDownload(job);
+    assert.equal(ris.match(/^TY {2}- /gm).length, 40);
+  });
+
+  test('skips a page slower than the page load timeout', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 60,
+      pageSize: 20,
+      slowPages: { 2: STALLED_PAGE_DELAY }
+    });
+
+    const job = await runExport('soil phosphorus', 'ris', { pageRetries: 0 });
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, true);
+    assert.deepEqual(job.processedPages, [1, 3]);
+    assert.deepEqual(job.skippedPages, [{ page: 2, reason: 'Page load timed out' }]);
+    assert.equal(job.articles.length, 40);
+  });
+
+  test('waits out a rate-limited page and retries it', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 45,
+      pageSize: 20,
+      rateLimitedPages: { 2: 1 }
+    });
+
+    const job = await runExport('soil potassium', 'ris', { pageRetries: 1 });
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, false);
+    assert.deepEqual(job.processedPages, [1, 2, 3]);
+    assert.deepEqual(job.skippedPages, []);
+    assert.equal(job.articles.length, 45);
+
+    assert.deepEqual(
+      server.requests.filter(request => request.page === 2).map(request => request.status),
+      [429, 200]
+    );
+  });
+
+  test('pauses an export interrupted by a service worker restart and resumes it', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 45,
+      pageSize: 20,
+      slowPages: { 2: 5000 }
+    });
+
+    const { page, isNew } = await startExport('soil sulfur', 'ris', {});
+    const running = await waitForJob(job => isNew(job) && job.status === 'running' && job.processedPages.length === 1,
+      'the first page to be collected');
+
+    const popup = await restartServiceWorker();
+
+    const paused = await waitForJob(job => job.id === running.id && job.status === 'paused',
+      'the interrupted job to be paused on startup');
+    assert.equal(paused.articles.length, 20);
+    assert.match(paused.message, /^⏸️ Interrupted after 20 articles/);
+
+    await popup.evaluate(jobId => chrome.runtime.sendMessage({ action: 'resumeJob', jobId }), running.id);
+    const job = await waitForJob(stored => stored.id === running.id && FINISHED_STATUSES.includes(stored.status),
+      'the resumed job to finish');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, false);
+    assert.deepEqual(job.processedPages, [1, 2, 3]);
+    assert.equal(job.articles.length, 45);
+    await readDownload(job);
+
+    await popup.close();
+    await page.close();
+  });
+
+  test('leaves the worker window alone when a saved search check runs during an export', { timeout: EXPORT_TIMEOUT * 2 }, async () => {
+    server.setScenario({
+      total: 45,
+      pageSize: 20,
+      slowPages: { 2: 5000 }
+    });
+
+    const { page, isNew } = await startExport('soil calcium', 'ris', {});
+    const running = await waitForJob(job => isNew(job) && job.status === 'running' && job.processedPages.length === 1,
+      'the first page to be collected');
+    const workerWindowId = await serviceWorker.evaluate(() => worker.windowId);
+
+    const popup = await openPopup();
+    const check = await popup.evaluate(() => chrome.runtime.sendMessage({ action: 'checkSavedSearches' }));
+    assert.deepEqual(check, { success: true, found: 0 });
+    assert.equal(await serviceWorker.evaluate(() => worker.windowId), workerWindowId);
+
+    const job = await waitForJob(stored => stored.id === running.id && FINISHED_STATUSES.includes(stored.status),
+      'the export job to finish');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.partial, false);
+    assert.deepEqual(job.skippedPages, []);
+    assert.equal(job.articles.length, 45);
+    assert.deepEqual(
+      server.requests.filter(request => request.page === 2).map(request => request.status),
+      [200]
+    );
+
+    await popup.close();
+    await page.close();
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Local stand-in for the CAPES Periódicos search
+ * Serves paginated result and detail pages in the portal's markup over HTTPS,
+ * so the unpacked extension runs against it unchanged once the browser maps
+ * the portal host to 127.0.0.1. A scenario controls the total count, slow
+ * pages, error pages and records repeated across pages.
+ *
+ * Run it on its own to browse the pages by hand:
+ *   node test/e2e/mock-capes-server.js [port]
+ */
+
+'use strict';
+
+const https = require('node:https');
+const selfsigned = require('selfsigned');
+
+/** @const {string} Host the extension's content scripts match */
+const CAPES_HOST = 'www.periodicos.capes.gov.br';
+
+/** @const {string} Search page path */
+const SEARCH_PATH = '/index.php/acervo/buscador.html';
+
+/** @const {number} Port used when run from the command line */
+const DEFAULT_PORT = 8443;
+
+/** @const {Object<string, *>} Scenario used when none is given */
+const DEFAULT_SCENARIO = {
+  total: 45,
+  pageSize: 20,
+  slowPages: {},
+  errorPages: {},
+  rateLimitedPages: {},
+  duplicates: 0
+};
+
+/** @const {string[]} Title topics cycled through generated records */
+const TOPICS = [
+  'Soil carbon stocks under no-tillage systems',
+  'Nitrogen dynamics in tropical pasture soils',
+  'Microbial biomass after land use change',
+  'Organic matter fractions in Cerrado oxisols',
+  'Greenhouse gas fluxes from irrigated rice fields'
+];
+
+/** @const {string[]} Month abbreviations as printed on result cards */
+const MONTHS = ['jan.', 'fev.', 'mar.', 'abr.', 'maio', 'jun.', 'jul.', 'ago.', 'set.', 'out.', 'nov.', 'dez.'];
+
+/** @const {Array<{publisher: string, language: string, source: string}>} Trailing segments cycled through generated records */
+const SOURCES = [
+  { publisher: 'Sociedade Brasileira de Ciência do Solo', language: 'Português', source: 'SciELO' },
+  { publisher: 'Elsevier', language: 'Inglês', source: 'Scopus' },
+  { publisher: 'Springer', language: 'Inglês', source: 'Web of Science' }
+];
+
+/** @const {string[]} Journals cycled through generated records */
+const JOURNALS = [
+  'Revista Brasileira de Ciência do Solo',
+  'Geoderma',
+  'Soil Biology and Biochemistry',
+  'Pesquisa Agropecuária Brasileira'
+];
+
+/**
+ * @typedef {Object} MockScenario
+ * @property {number} total - Number of distinct records in the search
+ * @property {number} pageSize - Records per results page
+ * @property {Object<number, number>} slowPages - Page number → response delay (ms)
+ * @property {Object<number, number>} errorPages - Page number → requests answered with HTTP 500
+ *   before the page loads (Infinity for every request)
+ * @property {Object<number, number>} rateLimitedPages - Page number → requests answered with
+ *   HTTP 429 before the page loads
+ * @property {number} duplicates - Records from the end of each page repeated at the top of the next
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} task - search|detail
+ * @property {number} page - Requested page (detail requests: 0)
+ * @property {number} status - HTTP status sent
+ */
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHTML = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the generated record at a position in the result list
+ * @param {number} position - 1-based position
+ * @returns {Object} Record (id, title, authors, date, journal, citation, trailing segments, doi, flags)
+ */
+const buildRecord = position => ({
+  id: `W${String(position).padStart(7, '0')}`,
+  title: `${TOPICS[(position - 1) % TOPICS.length]} (study ${position})`,
+  authors: [`Silva, Maria ${position}`, 'Santos, João'],
+  year: String(2010 + (position % 15)),
+  month: MONTHS[position % 12],
+  journal: JOURNALS[(position - 1) % JOURNALS.length],
+  volume: String(10 + (position % 30)),
+  issue: String(1 + (position % 4)),
+  pages: `${position * 10}-${position * 10 + 9}`,
+  ...SOURCES[position % SOURCES.length],
+  doi: `10.5555/mock.${position}`,
+  isOpenAccess: position % 3 === 0,
+  isPeerReviewed: position % 2 === 0
+});
+
+/**
+ * List the record positions shown on a results page
+ * @param {MockScenario} scenario - Active scenario
+ * @param {number} page - Page number
+ * @returns {number[]} Positions, including repeats from the previous page
+ */
+const pagePositions = (scenario, page) => {
+  const first = (page - 1) * scenario.pageSize + 1;
+  const last = Math.min(page * scenario.pageSize, scenario.total);
+  const from = page > 1 ? Math.max(1, first - scenario.duplicates) : first;
+
+  const positions = [];
+  for (let position = from; position <= last; position++) {
+    positions.push(position);
+  }
+  return positions;
+};
+
+/**
+ * Render a result card
+ * @param {Object} record - Generated record
+ * @returns {string} Card markup
+ */
+const renderCard = record => `
+      <div id="result-busca-${record.id}" class="br-card">
+        <div id="conteudo-${record.id}">
+          <span class="fw-semibold">Artigo</span>
+          <a class="titulo-busca" href="${SEARCH_PATH}?task=detalhes&amp;id=${record.id}">${escapeHTML(record.title)}</a>
+          ${record.authors.map(author => `<a class="view-autor" href="#">${escapeHTML(author)}</a>`).join('\n          ')}
+          <p class="text-down-01">${record.month} ${record.year} - v. ${record.volume}, n. ${record.issue}, p. ${record.pages} | ${escapeHTML(record.journal)} | ${escapeHTML(record.publisher)} | ${record.language} | ${record.source}</p>
+          ${record.isOpenAccess ? `<span id="open-acess-item-${record.id}" title="Acesso aberto">Acesso aberto</span>` : ''}
+          ${record.isPeerReviewed ? `<span id="peer-reviewed-item-${record.id}" title="Revisado por pares">Revisado por pares</span>` : ''}
+        </div>
+      </div>`;
+
+/**
+ * Wrap page content in the portal's document shell
+ * @param {string} body - Body markup
+ * @param {string} [head] - Extra head markup
+ * @returns {string} HTML document
+ */
+const renderDocument = (body, head = '') => `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>Portal de Periódicos CAPES - Busca</title>${head}
+</head>
+<body>
+  <main>${body}
+  </main>
+</body>
+</html>
+`;
+
+/**
+ * Render a results page
+ * @param {MockScenario} scenario - Active scenario
+ * @param {number} page - Page number
+ * @returns {string} HTML document
+ */
+const renderResultsPage = (scenario, page) => {
+  const positions = pagePositions(scenario, page);
+  if (scenario.total === 0 || positions.length === 0) {
+    return renderDocument(`
+    <div id="resultados">
+      <p class="alert">Nenhum resultado encontrado para a sua busca.</p>
+    </div>`);
+  }
+
+  const first = (page - 1) * scenario.pageSize + 1;
+  const last = positions[positions.length - 1];
+
+  return renderDocument(`
+    <div id="resultados">${positions.map(position => renderCard(buildRecord(position))).join('')}
+    </div>
+
+    <nav class="pagination">
+      <div class="pagination-information">${first}–${last} de ${scenario.total} itens</div>
+      <div class="pagination-arrows">
+        <button type="button" aria-label="Página anterior"${page > 1 ? '' : ' disabled'}>‹</button>
+        <button type="button" aria-label="Página seguinte"${last < scenario.total ? '' : ' disabled'}>›</button>
+      </div>
+    </nav>`);
+};
+
+/**
+ * Render a record's detail page
+ * @param {MockScenario} scenario - Active scenario
+ * @param {string} id - Record id
+ * @returns {?string} HTML document, or null for unknown records
+ */
+const renderDetailPage = (scenario, id) => {
+  const position = parseInt(String(id).replace(/^W/, ''), 10);
+  if (!position || position > scenario.total) return null;
+
+  const record = buildRecord(position);
+  return renderDocument(`
+    <h1>${escapeHTML(record.title)}</h1>
+    <p><strong>DOI:</strong> <span>${record.doi}</span></p>
+    <p><strong>Volume:</strong> <span>${record.volume}</span></p>
+    <p><strong>Fascículo:</strong> <span>${record.issue}</span></p>`,
+  `\n  <meta name="citation_doi" content="${record.doi}">`);
+};
+
+/**
+ * Count down a page's remaining forced failures
+ * @param {Object<number, number>} failures - Page number → failures left
+ * @param {number} page - Requested page
+ * @returns {boolean} True if this request should fail
+ */
+const takeFailure = (failures, page) => {
+  if (!(failures[page] > 0)) return false;
+  failures[page] -= 1;
+  return true;
+};
+
+/**
+ * Start the mock portal
+ * @param {Partial<MockScenario>} [scenario] - Scenario (defaults fill the rest)
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (default: any free port)
+ * @returns {Promise<Object>} Server handle: port, searchUrl(query), requests, setScenario(scenario), close()
+ */
+const startMockCapesServer = async (scenario = {}, { port = 0 } = {}) => {
+  const pems = await selfsigned.generate([{ name: 'commonName', value: CAPES_HOST }], {
+    keySize: 2048,
+    algorithm: 'sha256'
+  });
+
+  /** @type {MockRequest[]} */
+  const requests = [];
+  let active;
+  let failures;
+
+  const setScenario = (next = {}) => {
+    active = { ...DEFAULT_SCENARIO, ...next };
+    failures = {
+      error: { ...active.errorPages },
+      rateLimited: { ...active.rateLimitedPages }
+    };
+    requests.length = 0;
+  };
+  setScenario(scenario);
+
+  const send = (response, status, html) => {
+    response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(html);
+  };
+
+  const server = https.createServer({ key: pems.private, cert: pems.cert }, (request, response) => {
+    const url = new URL(request.url, `https://${CAPES_HOST}`);
+
+    if (url.pathname !== SEARCH_PATH) {
+      send(response, 404, renderDocument('<h1>Página não encontrada</h1>'));
+      return;
+    }
+
+    if (url.searchParams.get('task') === 'detalhes') {
+      const html = renderDetailPage(active, url.searchParams.get('id'));
+      requests.push({ task: 'detail', page: 0, status: html ? 200 : 404 });
+      send(response, html ? 200 : 404, html || renderDocument('<h1>Registro não encontrado</h1>'));
+      return;
+    }
+
+    const page = parseInt(url.searchParams.get('page'), 10) || 1;
+    const respond = (status, html) => {
+      requests.push({ task: 'search', page, status });
+      setTimeout(() => send(response, status, html), active.slowPages[page] || 0);
+    };
+
+    if (takeFailure(failures.error, page)) {
+      respond(500, renderDocument('<h1>Erro interno do servidor</h1>'));
+    } else if (takeFailure(failures.rateLimited, page)) {
+      respond(429, renderDocument('<h1>Muitas requisições. Tente novamente mais tarde.</h1>'));
+    } else {
+      respond(200, renderResultsPage(active, page));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    port: server.address().port,
+    searchUrl: query => `https://${CAPES_HOST}${SEARCH_PATH}?q=${encodeURIComponent(query).replace(/%20/g, '+')}`,
+    requests,
+    setScenario,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  startMockCapesServer({}, { port }).then(server => {
+    console.log(`Mock CAPES portal listening on https://127.0.0.1:${server.port}`);
+    console.log(`Start Chrome with --host-resolver-rules="MAP ${CAPES_HOST} 127.0.0.1:${server.port}" --ignore-certificate-errors`);
+    console.log(`and open ${server.searchUrl('soil carbon')}`);
+  });
+}
+
+module.exports = { CAPES_HOST, DEFAULT_SCENARIO, buildRecord, pagePositions, startMockCapesServer };
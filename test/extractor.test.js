@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Extraction tests against saved CAPES result pages
+ */
+
+'use strict';
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEARCH_URL, loadPage } = require('./helpers/dom');
+const {
+  DEFAULT_SELECTOR_PROFILE,
+  selectorState,
+  SelectorProfile,
+  PageNavigator,
+  ArticleExtractor
+} = require('../content.js');
+const { PublicationDate } = require('../common.js');
+
+describe('ArticleExtractor.extractFromPage', () => {
+  beforeEach(() => {
+    selectorState.profile = DEFAULT_SELECTOR_PROFILE;
+    loadPage('results-page-1.html');
+  });
+
+  test('extracts every valid result card and skips loading placeholders', () => {
+    const { articles } = ArticleExtractor.extractFromPage();
+
+    assert.deepEqual(articles.map(article => article.id), ['W2093471', 'W3011820', 'W4120077']);
+  });
+
+  test('reads title, authors, year, journal and flags', () => {
+    const [article] = ArticleExtractor.extractFromPage().articles;
+
+    assert.equal(article.title, 'Soil carbon stocks under no-tillage in the Brazilian Cerrado');
+    assert.deepEqual(article.authors, ['Sá, João Carlos de Moraes', 'Lal, Rattan']);
+    assert.equal(article.year, '2017');
+    assert.equal(article.journal, 'Revista Brasileira de Ciência do Solo');
+    assert.equal(article.documentType, 'Artigo');
+    assert.equal(article.isOpenAccess, true);
+    assert.equal(article.isPeerReviewed, true);
+    assert.equal(article.sourcePage, 1);
+    assert.equal(
+      article.detailUrl,
+      'https://www.periodicos.capes.gov.br/index.php/acervo/buscador.html?task=detalhes&id=W2093471'
+    );
+  });
+
+  test('reads document types and missing flags', () => {
+    const [, review, chapter] = ArticleExtractor.extractFromPage().articles;
+
+    assert.equal(review.documentType, 'Revisão');
+    assert.equal(review.isOpenAccess, false);
+    assert.equal(review.isPeerReviewed, true);
+    assert.equal(chapter.documentType, 'Capítulo de livro');
+    assert.equal(chapter.journal, 'Advances in Soil Science');
+  });
+
+  test('reports rejected cards with a reason', () => {
+    const { rejected } = ArticleExtractor.extractFromPage();
+
+    assert.deepEqual(rejected, [
+      { id: 'W5000001', title: 'Erro', page: 1, reason: 'Title too short ("Erro")' }
+    ]);
+  });
+
+  test('parses every metadata segment into structured fields', () => {
+    const [article, review, chapter] = ArticleExtractor.extractFromPage().articles;
+
+    assert.equal(article.date, '2017-03-15');
+    assert.equal(article.volume, '41');
+    assert.equal(article.issue, '3');
+    assert.equal(article.startPage, 'e0160123');
+    assert.equal(article.issn, '0100-0683');
+    assert.equal(article.publisher, 'Sociedade Brasileira de Ciência do Solo');
+    assert.equal(article.language, 'pt');
+    assert.equal(article.sourceIndex, 'SciELO');
+
+    assert.equal(review.volume, '12');
+    assert.equal(review.date, undefined);
+
+    assert.equal(chapter.startPage, '45');
+    assert.equal(chapter.endPage, '67');
+    assert.equal(chapter.publisher, 'Springer');
+    assert.equal(chapter.language, 'en');
+  });
+
+  test('falls back to the next selector in a chain', () => {
+    document.querySelectorAll('.text-down-01').forEach(element => {
+      element.className = 'text-down-02';
+    });
+
+    const [article] = ArticleExtractor.extractFromPage().articles;
+    assert.equal(article.year, '2017');
+    assert.equal(article.journal, 'Revista Brasileira de Ciência do Solo');
+  });
+
+  test('tries override selectors before the built-in ones', () => {
+    document.querySelectorAll('.titulo-busca').forEach(element => {
+      element.className = 'novo-titulo';
+    });
+    selectorState.profile = SelectorProfile.merge(DEFAULT_SELECTOR_PROFILE, {
+      version: DEFAULT_SELECTOR_PROFILE.version,
+      selectors: { title: ['.novo-titulo'] }
+    });
+
+    const [article] = ArticleExtractor.extractFromPage().articles;
+    assert.equal(article.title, 'Soil carbon stocks under no-tillage in the Brazilian Cerrado');
+  });
+});
+
+describe('PublicationDate.parse', () => {
+  test('normalizes printed dates to a four-digit year and an ISO date', () => {
+    assert.deepEqual(PublicationDate.parse('2017'), { year: '2017', date: '' });
+    assert.deepEqual(PublicationDate.parse('[2015]'), { year: '2015', date: '' });
+    assert.deepEqual(PublicationDate.parse('mar. 2017'), { year: '2017', date: '2017-03' });
+    assert.deepEqual(PublicationDate.parse('15 mar. 2017'), { year: '2017', date: '2017-03-15' });
+    assert.deepEqual(PublicationDate.parse('março de 2017'), { year: '2017', date: '2017-03' });
+    assert.deepEqual(PublicationDate.parse('15/03/2017'), { year: '2017', date: '2017-03-15' });
+    assert.deepEqual(PublicationDate.parse('2017-03-15'), { year: '2017', date: '2017-03-15' });
+    assert.deepEqual(PublicationDate.parse('s.d.'), { year: '', date: '' });
+  });
+});
+
+describe('PageNavigator', () => {
+  beforeEach(() => {
+    selectorState.profile = DEFAULT_SELECTOR_PROFILE;
+  });
+
+  test('finds a next page while the next button is enabled', () => {
+    loadPage('results-page-1.html');
+    assert.equal(Boolean(PageNavigator.hasNextPage()), true);
+  });
+
+  test('stops on the last page', () => {
+    loadPage('results-last-page.html', `${SEARCH_URL}&page=7`);
+    assert.equal(Boolean(PageNavigator.hasNextPage()), false);
+    assert.equal(PageNavigator.getCurrentPage(), 7);
+  });
+
+  test('reads the total result count from the pagination summary', () => {
+    loadPage('results-page-1.html');
+    assert.equal(PageNavigator.getTotalArticlesEstimate(), 137);
+
+    loadPage('results-last-page.html');
+    assert.equal(PageNavigator.getTotalArticlesEstimate(), 137);
+  });
+
+  test('recognizes a search without results', () => {
+    loadPage('no-results.html');
+    assert.equal(PageNavigator.getTotalArticlesEstimate(), 0);
+    assert.equal(Boolean(PageNavigator.hasNextPage()), false);
+    assert.equal(PageNavigator.detectPageState(), 'noResults');
+  });
+});
+
+describe('SelectorProfile.selfCheck', () => {
+  beforeEach(() => {
+    selectorState.profile = DEFAULT_SELECTOR_PROFILE;
+  });
+
+  test('passes on the current layout', () => {
+    loadPage('results-page-1.html');
+    const report = SelectorProfile.selfCheck();
+
+    assert.equal(report.cardCount, 4);
+    assert.deepEqual(report.missing, []);
+  });
+
+  test('flags fields that stopped matching', () => {
+    loadPage('results-page-1.html');
+    document.querySelectorAll('.view-autor').forEach(element => element.remove());
+
+    assert.deepEqual(SelectorProfile.selfCheck().missing, ['authors']);
+  });
+});
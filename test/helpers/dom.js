@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Test helper that loads saved CAPES pages into jsdom
+ * The content script reads the page through the `document` and `location`
+ * globals, so each fixture replaces them before the test runs
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+/** @const {string} Directory holding the HTML and JSON fixtures */
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/** @const {string} Search URL the fixtures were saved from */
+const SEARCH_URL = 'https://www.periodicos.capes.gov.br/index.php/acervo/buscador.html?q=soil+carbon';
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name inside test/fixtures
+ * @returns {string} File content
+ */
+const readFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+/**
+ * Load an HTML fixture as the current page
+ * @param {string} name - HTML fixture name
+ * @param {string} [url] - Page URL (default: page 1 of the fixture search)
+ * @returns {JSDOM} Loaded page
+ */
+const loadPage = (name, url = SEARCH_URL) => {
+  const dom = new JSDOM(readFixture(name), { url });
+
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.location = dom.window.location;
+  return dom;
+};
+
+module.exports = { SEARCH_URL, readFixture, loadPage };